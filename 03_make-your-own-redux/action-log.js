@@ -0,0 +1,94 @@
+import { myCreateStore } from './my-redux.js'
+
+// Store enhancer that records every dispatched action together with the
+// state before and after it. Works with myCreateStore and Redux's createStore.
+export function actionLog({ limit = Infinity } = {}) {
+  return (createStore) => (reducer, preloadedState) => {
+    const store = createStore(reducer, preloadedState)
+    let initialState = store.getState()
+    let entries = []
+
+    function dispatch(action) {
+      const stateBefore = store.getState()
+      const result = store.dispatch(action)
+      entries.push({
+        action,
+        timestamp: Date.now(),
+        stateBefore,
+        stateAfter: store.getState(),
+      })
+      if (entries.length > limit) {
+        entries = entries.slice(-limit)
+        initialState = entries[0].stateBefore
+      }
+      return result
+    }
+
+    const log = {
+      getEntries() {
+        return entries
+      },
+      clear() {
+        initialState = store.getState()
+        entries = []
+      },
+      export() {
+        return JSON.stringify({ initialState, entries })
+      },
+    }
+
+    return { ...store, dispatch, actionLog: log }
+  }
+}
+
+export function importActionLog(json) {
+  const log = typeof json === 'string' ? JSON.parse(json) : json
+  if (!log || !Array.isArray(log.entries)) {
+    throw new Error('Expected an action log with an "entries" array.')
+  }
+  return log
+}
+
+// Replays an exported log one action at a time on a fresh store, flagging
+// every step whose resulting state differs from the recorded one.
+export function createReplay(reducer, json, createStore = myCreateStore) {
+  const { initialState, entries } = importActionLog(json)
+  let store
+  let position
+
+  function reset() {
+    store = createStore(reducer, initialState)
+    position = 0
+  }
+
+  function step() {
+    if (position >= entries.length) return null
+    const entry = entries[position++]
+    store.dispatch(entry.action)
+    const state = store.getState()
+    return {
+      ...entry,
+      index: position - 1,
+      state,
+      matches: JSON.stringify(state) === JSON.stringify(entry.stateAfter),
+    }
+  }
+
+  function replayAll() {
+    const steps = []
+    let next
+    while ((next = step())) steps.push(next)
+    return steps
+  }
+
+  reset()
+
+  return {
+    step,
+    replayAll,
+    reset,
+    getStore: () => store,
+    getPosition: () => position,
+    isDone: () => position >= entries.length,
+  }
+}
@@ -0,0 +1,76 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { myCreateStore } from './my-redux.js'
+import { actionLog, createReplay, importActionLog } from './action-log.js'
+
+const reducer = (state = { count: 0 }, action) => {
+  switch (action.type) {
+    case 'INCREMENT':
+      return { count: state.count + 1 }
+    case 'INCREASE_BY':
+      return { count: state.count + action.payload }
+    default:
+      return state
+  }
+}
+
+function recordActions(options) {
+  const store = myCreateStore(reducer, actionLog(options))
+  store.dispatch({ type: 'INCREMENT' })
+  store.dispatch({ type: 'INCREASE_BY', payload: 10 })
+  store.dispatch({ type: 'INCREMENT' })
+  store.dispatch({ type: 'INCREASE_BY', payload: 5 })
+  return store
+}
+
+test('records every action with the state before and after it', () => {
+  const store = recordActions()
+  const entries = store.actionLog.getEntries()
+
+  assert.equal(entries.length, 4)
+  assert.deepEqual(entries[1].action, { type: 'INCREASE_BY', payload: 10 })
+  assert.deepEqual(entries[1].stateBefore, { count: 1 })
+  assert.deepEqual(entries[1].stateAfter, { count: 11 })
+})
+
+test('an exported log replays to the same states', () => {
+  const store = recordActions()
+  const replay = createReplay(reducer, store.actionLog.export())
+
+  const steps = replay.replayAll()
+  assert.equal(steps.length, 4)
+  assert.ok(steps.every(({ matches }) => matches))
+  assert.ok(replay.isDone())
+  assert.deepEqual(replay.getStore().getState(), store.getState())
+})
+
+test('a trimmed log replays from the oldest kept state', () => {
+  const store = recordActions({ limit: 2 })
+  const json = store.actionLog.export()
+
+  assert.deepEqual(importActionLog(json).initialState, { count: 11 })
+
+  const replay = createReplay(reducer, json)
+  const steps = replay.replayAll()
+  assert.deepEqual(
+    steps.map(({ state }) => state.count),
+    [12, 17]
+  )
+  assert.ok(steps.every(({ matches }) => matches))
+})
+
+test('flags the step whose state differs from the recorded one', () => {
+  const store = recordActions()
+  const changedReducer = (state, action) =>
+    action.type === 'INCREASE_BY'
+      ? { count: state.count + action.payload * 2 }
+      : reducer(state, action)
+
+  const replay = createReplay(changedReducer, store.actionLog.export())
+  assert.equal(replay.step().matches, true)
+  assert.equal(replay.step().matches, false)
+
+  replay.reset()
+  assert.equal(replay.getPosition(), 0)
+  assert.deepEqual(replay.getStore().getState(), { count: 0 })
+})
@@ -0,0 +1,145 @@
+const SET_STATE = '@@devtools/SET_STATE'
+
+function liftAction(action) {
+  return { type: 'PERFORM_ACTION', action, timestamp: Date.now() }
+}
+
+// Lets the reducer be overwritten with a state picked in the extension
+function liftReducer(reducer) {
+  return function (state, action) {
+    if (action.type === SET_STATE) return action.payload
+    return reducer(state, action)
+  }
+}
+
+// Store enhancer that talks to the Redux DevTools extension through its
+// connect() API. Pass a fake `extension` object to use it outside a browser.
+export function devTools(options = {}) {
+  return (createStore) => (reducer, preloadedState) => {
+    const extension =
+      options.extension ??
+      (typeof window !== 'undefined' && window.__REDUX_DEVTOOLS_EXTENSION__)
+    if (!extension) return createStore(reducer, preloadedState)
+
+    let currentReducer = reducer
+    const store = createStore(liftReducer(reducer), preloadedState)
+    const connection = extension.connect({
+      name: options.name ?? 'myCreateStore',
+    })
+
+    // Our own copy of the extension's "lifted state", needed to recompute
+    // the states when an action gets toggled off or on
+    let committedState = store.getState()
+    let actionsById = { 0: liftAction({ type: '@@INIT' }) }
+    let nextActionId = 1
+    let stagedActionIds = [0]
+    let skippedActionIds = []
+    let computedStates = [{ state: committedState }]
+    let currentStateIndex = 0
+
+    function getLiftedState() {
+      return {
+        actionsById,
+        computedStates,
+        committedState,
+        currentStateIndex,
+        nextActionId,
+        skippedActionIds,
+        stagedActionIds,
+      }
+    }
+
+    function setState(state) {
+      store.dispatch({ type: SET_STATE, payload: state })
+    }
+
+    function recomputeStates() {
+      let state = committedState
+      computedStates = stagedActionIds.map((actionId, index) => {
+        if (index > 0 && !skippedActionIds.includes(actionId)) {
+          state = currentReducer(state, actionsById[actionId].action)
+        }
+        return { state }
+      })
+    }
+
+    function toggleAction(actionId) {
+      skippedActionIds = skippedActionIds.includes(actionId)
+        ? skippedActionIds.filter((id) => id !== actionId)
+        : [...skippedActionIds, actionId]
+      recomputeStates()
+      setState(computedStates[currentStateIndex].state)
+      connection.send(null, getLiftedState())
+    }
+
+    function importState(nextLiftedState) {
+      actionsById = nextLiftedState.actionsById
+      computedStates = nextLiftedState.computedStates
+      stagedActionIds = nextLiftedState.stagedActionIds
+      skippedActionIds = nextLiftedState.skippedActionIds ?? []
+      committedState =
+        nextLiftedState.committedState ?? computedStates[0].state
+      nextActionId =
+        nextLiftedState.nextActionId ?? Math.max(...stagedActionIds) + 1
+      currentStateIndex =
+        nextLiftedState.currentStateIndex ?? computedStates.length - 1
+      setState(computedStates[currentStateIndex].state)
+      connection.send(null, nextLiftedState)
+    }
+
+    function jumpToState(index, serializedState) {
+      if (index < 0) return
+      currentStateIndex = index
+      setState(JSON.parse(serializedState))
+    }
+
+    connection.subscribe((message) => {
+      if (message.type !== 'DISPATCH') return
+      switch (message.payload.type) {
+        case 'JUMP_TO_STATE':
+          jumpToState(message.payload.index, message.state)
+          break
+        case 'JUMP_TO_ACTION':
+          jumpToState(
+            stagedActionIds.indexOf(message.payload.actionId),
+            message.state
+          )
+          break
+        case 'TOGGLE_ACTION':
+          toggleAction(message.payload.id)
+          break
+        case 'IMPORT_STATE':
+          importState(message.payload.nextLiftedState)
+          break
+      }
+    })
+
+    connection.init(committedState)
+
+    // Like the extension, new actions always go after the last staged one.
+    // While an older state is shown (after a jump), the store stays on it.
+    function dispatch(action) {
+      const isShowingLastState = currentStateIndex === computedStates.length - 1
+      const lastState = computedStates[computedStates.length - 1].state
+      const result = isShowingLastState ? store.dispatch(action) : action
+      const nextState = isShowingLastState
+        ? store.getState()
+        : currentReducer(lastState, action)
+
+      const actionId = nextActionId++
+      actionsById = { ...actionsById, [actionId]: liftAction(action) }
+      stagedActionIds = [...stagedActionIds, actionId]
+      computedStates = [...computedStates, { state: nextState }]
+      if (isShowingLastState) currentStateIndex = computedStates.length - 1
+      connection.send(action, nextState)
+      return result
+    }
+
+    function replaceReducer(nextReducer) {
+      currentReducer = nextReducer
+      store.replaceReducer(liftReducer(nextReducer))
+    }
+
+    return { ...store, dispatch, replaceReducer }
+  }
+}
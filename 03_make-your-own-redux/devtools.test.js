@@ -0,0 +1,169 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { myCreateStore } from './my-redux.js'
+import { devTools } from './devtools.js'
+
+const reducer = (state = { count: 0 }, action) => {
+  switch (action.type) {
+    case 'INCREMENT':
+      return { count: state.count + 1 }
+    case 'INCREASE_BY':
+      return { count: state.count + action.payload }
+    default:
+      return state
+  }
+}
+
+// Records what the enhancer sends and lets the test play the extension's part
+function createFakeExtension() {
+  const extension = {
+    name: null,
+    initialState: null,
+    sent: [],
+    listener: null,
+    connect({ name }) {
+      extension.name = name
+      return {
+        init(state) {
+          extension.initialState = state
+        },
+        send(action, state) {
+          extension.sent.push({ action, state })
+        },
+        subscribe(listener) {
+          extension.listener = listener
+        },
+      }
+    },
+    dispatchToStore(payload, state) {
+      extension.listener({
+        type: 'DISPATCH',
+        payload,
+        state: state === undefined ? undefined : JSON.stringify(state),
+      })
+    },
+    lastSent() {
+      return extension.sent[extension.sent.length - 1]
+    },
+  }
+  return extension
+}
+
+function setup() {
+  const extension = createFakeExtension()
+  const store = myCreateStore(reducer, devTools({ extension, name: 'Posts' }))
+  store.dispatch({ type: 'INCREMENT' })
+  store.dispatch({ type: 'INCREASE_BY', payload: 10 })
+  store.dispatch({ type: 'INCREMENT' })
+  return { extension, store }
+}
+
+test('sends the initial state and every dispatched action', () => {
+  const { extension, store } = setup()
+
+  assert.equal(extension.name, 'Posts')
+  assert.deepEqual(extension.initialState, { count: 0 })
+  assert.deepEqual(
+    extension.sent.map(({ action }) => action.type),
+    ['INCREMENT', 'INCREASE_BY', 'INCREMENT']
+  )
+  assert.deepEqual(extension.lastSent().state, { count: 12 })
+  assert.deepEqual(store.getState(), { count: 12 })
+})
+
+test('TOGGLE_ACTION skips the action and recomputes the states', () => {
+  const { extension, store } = setup()
+
+  extension.dispatchToStore({ type: 'TOGGLE_ACTION', id: 2 })
+  assert.deepEqual(store.getState(), { count: 2 })
+
+  const liftedState = extension.lastSent().state
+  assert.deepEqual(liftedState.skippedActionIds, [2])
+  assert.deepEqual(
+    liftedState.computedStates.map(({ state }) => state.count),
+    [0, 1, 1, 2]
+  )
+  assert.equal(liftedState.currentStateIndex, 3)
+
+  extension.dispatchToStore({ type: 'TOGGLE_ACTION', id: 2 })
+  assert.deepEqual(store.getState(), { count: 12 })
+})
+
+test('JUMP_TO_STATE sets the state and the current index', () => {
+  const { extension, store } = setup()
+
+  extension.dispatchToStore({ type: 'JUMP_TO_STATE', index: 1 }, { count: 1 })
+  assert.deepEqual(store.getState(), { count: 1 })
+
+  // Toggling while jumped back keeps showing the selected state
+  extension.dispatchToStore({ type: 'TOGGLE_ACTION', id: 2 })
+  assert.equal(extension.lastSent().state.currentStateIndex, 1)
+  assert.deepEqual(store.getState(), { count: 1 })
+})
+
+test('actions dispatched after a jump are added after the last action', () => {
+  const { extension, store } = setup()
+
+  extension.dispatchToStore({ type: 'JUMP_TO_STATE', index: 1 }, { count: 1 })
+  store.dispatch({ type: 'INCREMENT' })
+
+  // The store keeps showing the state that was jumped to
+  assert.deepEqual(store.getState(), { count: 1 })
+  assert.deepEqual(extension.lastSent().state, { count: 13 })
+
+  extension.dispatchToStore({ type: 'TOGGLE_ACTION', id: 2 })
+  const liftedState = extension.lastSent().state
+  assert.deepEqual(
+    liftedState.computedStates.map(({ state }) => state.count),
+    [0, 1, 1, 2, 3]
+  )
+  assert.equal(liftedState.currentStateIndex, 1)
+  assert.deepEqual(store.getState(), { count: 1 })
+
+  // Jumping back to the end continues from the last state
+  extension.dispatchToStore({ type: 'JUMP_TO_STATE', index: 4 }, { count: 3 })
+  store.dispatch({ type: 'INCREMENT' })
+  assert.deepEqual(store.getState(), { count: 4 })
+})
+
+test('JUMP_TO_ACTION finds the index of the action', () => {
+  const { extension, store } = setup()
+
+  extension.dispatchToStore({ type: 'JUMP_TO_ACTION', actionId: 2 }, { count: 11 })
+  assert.deepEqual(store.getState(), { count: 11 })
+
+  extension.dispatchToStore({ type: 'TOGGLE_ACTION', id: 3 })
+  assert.equal(extension.lastSent().state.currentStateIndex, 2)
+})
+
+test('IMPORT_STATE replaces the history', () => {
+  const { extension, store } = setup()
+
+  const nextLiftedState = {
+    actionsById: {
+      0: { type: 'PERFORM_ACTION', action: { type: '@@INIT' } },
+      1: { type: 'PERFORM_ACTION', action: { type: 'INCREASE_BY', payload: 5 } },
+      2: { type: 'PERFORM_ACTION', action: { type: 'INCREASE_BY', payload: 7 } },
+    },
+    computedStates: [
+      { state: { count: 100 } },
+      { state: { count: 105 } },
+      { state: { count: 112 } },
+    ],
+    stagedActionIds: [0, 1, 2],
+    currentStateIndex: 1,
+  }
+  extension.dispatchToStore({ type: 'IMPORT_STATE', nextLiftedState })
+
+  assert.deepEqual(store.getState(), { count: 105 })
+  assert.equal(extension.lastSent().state, nextLiftedState)
+
+  // The imported actions can be toggled like our own
+  extension.dispatchToStore({ type: 'JUMP_TO_STATE', index: 2 }, { count: 112 })
+  extension.dispatchToStore({ type: 'TOGGLE_ACTION', id: 1 })
+  assert.deepEqual(store.getState(), { count: 107 })
+
+  store.dispatch({ type: 'INCREMENT' })
+  assert.equal(extension.lastSent().action.type, 'INCREMENT')
+  assert.deepEqual(store.getState(), { count: 108 })
+})
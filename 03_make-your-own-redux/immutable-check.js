@@ -0,0 +1,94 @@
+import { isIgnored } from './utils.js'
+
+const isImmutable = (value) =>
+  typeof value !== 'object' || value === null || Object.isFrozen(value)
+
+// Remembers every object reference in the state tree, so it can later be
+// compared against what the same objects look like now
+function trackProperties(value, ignoredPaths, path = '') {
+  const tracked = { value }
+  if (!isImmutable(value)) {
+    tracked.children = {}
+    Object.keys(value).forEach((key) => {
+      const childPath = path ? `${path}.${key}` : key
+      if (isIgnored(childPath, ignoredPaths)) return
+      tracked.children[key] = trackProperties(
+        value[key],
+        ignoredPaths,
+        childPath
+      )
+    })
+  }
+  return tracked
+}
+
+// A value that changed while its parent object kept the same reference can
+// only mean the parent was mutated
+function detectMutations(
+  tracked,
+  value,
+  ignoredPaths,
+  sameParentRef = false,
+  path = ''
+) {
+  const previousValue = tracked ? tracked.value : undefined
+  const sameRef = previousValue === value
+
+  if (sameParentRef && !sameRef && !Number.isNaN(value)) {
+    return { wasMutated: true, path }
+  }
+  if (isImmutable(previousValue) || isImmutable(value)) {
+    return { wasMutated: false }
+  }
+
+  const keys = new Set([
+    ...Object.keys(tracked.children),
+    ...Object.keys(value),
+  ])
+  for (const key of keys) {
+    const childPath = path ? `${path}.${key}` : key
+    if (isIgnored(childPath, ignoredPaths)) continue
+
+    const result = detectMutations(
+      tracked.children[key],
+      value[key],
+      ignoredPaths,
+      sameRef,
+      childPath
+    )
+    if (result.wasMutated) return result
+  }
+  return { wasMutated: false }
+}
+
+// Dev only: throws when the state gets mutated, either inside a reducer or
+// somewhere between two dispatches (e.g. in a component)
+export const immutableCheck =
+  ({ ignoredPaths = [] } = {}) =>
+  ({ getState }) => {
+    let tracked = trackProperties(getState(), ignoredPaths)
+
+    return (next) => (action) => {
+      let result = detectMutations(tracked, getState(), ignoredPaths)
+      if (result.wasMutated) {
+        // Start over from the mutated state, so only this dispatch fails
+        tracked = trackProperties(getState(), ignoredPaths)
+        throw new Error(
+          `A state mutation was detected between dispatches, in the path '${result.path}'. ` +
+            'This may cause incorrect behavior.'
+        )
+      }
+
+      const returnValue = next(action)
+
+      result = detectMutations(tracked, getState(), ignoredPaths)
+      tracked = trackProperties(getState(), ignoredPaths)
+      if (result.wasMutated) {
+        throw new Error(
+          `A state mutation was detected inside a dispatch, in the path: '${result.path}'. ` +
+            `Take a look at the reducer(s) handling the action ${JSON.stringify(action)}.`
+        )
+      }
+      return returnValue
+    }
+  }
@@ -0,0 +1,67 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyMiddleware, myCreateStore } from './my-redux.js'
+import { immutableCheck } from './immutable-check.js'
+
+// A fresh state per store, as some tests mutate it on purpose
+const getInitialState = () => ({
+  list: [1],
+  settings: { theme: 'dark' },
+  cache: {},
+})
+
+const reducer = (state = getInitialState(), action) => {
+  switch (action.type) {
+    case 'ADD':
+      return { ...state, list: [...state.list, action.payload] }
+    case 'ADD_MUTATING':
+      state.list.push(action.payload)
+      return state
+    case 'CACHE_MUTATING':
+      state.cache[action.payload] = true
+      return state
+    default:
+      return state
+  }
+}
+
+const createStore = (options) =>
+  myCreateStore(reducer, applyMiddleware(immutableCheck(options)))
+
+test('lets reducers that return new objects through', () => {
+  const store = createStore()
+  store.dispatch({ type: 'ADD', payload: 2 })
+  assert.deepEqual(store.getState().list, [1, 2])
+})
+
+test('throws when a reducer mutates the state', () => {
+  const store = createStore()
+  assert.throws(
+    () => store.dispatch({ type: 'ADD_MUTATING', payload: 2 }),
+    /mutation was detected inside a dispatch, in the path: 'list.1'/
+  )
+})
+
+test('throws once for a mutation between dispatches, then recovers', () => {
+  const store = createStore()
+  store.getState().list.push(2)
+
+  assert.throws(
+    () => store.dispatch({ type: 'UNRELATED' }),
+    /mutation was detected between dispatches, in the path 'list.1'/
+  )
+  store.dispatch({ type: 'UNRELATED' })
+  store.dispatch({ type: 'ADD', payload: 3 })
+  assert.deepEqual(store.getState().list, [1, 2, 3])
+})
+
+test('skips ignoredPaths', () => {
+  const store = createStore({ ignoredPaths: ['cache'] })
+  store.dispatch({ type: 'CACHE_MUTATING', payload: 'a' })
+  store.getState().cache.b = true
+  store.dispatch({ type: 'UNRELATED' })
+  assert.deepEqual(store.getState().cache, { a: true, b: true })
+
+  // Only that path: the rest of the state is still checked
+  assert.throws(() => store.dispatch({ type: 'ADD_MUTATING', payload: 2 }))
+})
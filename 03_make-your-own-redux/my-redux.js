@@ -1,27 +1,208 @@
-export function myCreateStore(reducer) {
-  let state
-  const listeners = []
+import { isPlainObject, kindOf } from './utils.js'
+
+const ActionTypes = {
+  INIT: '@@INIT',
+  REPLACE: '@@REPLACE',
+}
+
+// RxJS and other TC39-style libraries look the store up with this key
+const $$observable =
+  (typeof Symbol === 'function' && Symbol.observable) || '@@observable'
+
+export function myCreateStore(reducer, preloadedState, enhancer) {
+  if (typeof reducer !== 'function') {
+    throw new Error(
+      `Expected the root reducer to be a function. Instead, received: '${typeof reducer}'`
+    )
+  }
+
+  if (
+    (typeof preloadedState === 'function' && typeof enhancer === 'function') ||
+    (typeof enhancer === 'function' && typeof arguments[3] === 'function')
+  ) {
+    throw new Error(
+      'It looks like you are passing several store enhancers to myCreateStore(). ' +
+        'Compose them together into a single function instead.'
+    )
+  }
+
+  // myCreateStore(reducer, enhancer)
+  if (typeof preloadedState === 'function' && typeof enhancer === 'undefined') {
+    enhancer = preloadedState
+    preloadedState = undefined
+  }
+
+  if (typeof enhancer !== 'undefined') {
+    if (typeof enhancer !== 'function') {
+      throw new Error(
+        `Expected the enhancer to be a function. Instead, received: '${typeof enhancer}'`
+      )
+    }
+    return enhancer(myCreateStore)(reducer, preloadedState)
+  }
+
+  let currentReducer = reducer
+  let state = preloadedState
+  // dispatch() notifies a snapshot of the listeners (currentListeners), while
+  // subscribe/unsubscribe only touch nextListeners. So a listener added or
+  // removed in the middle of a dispatch takes effect from the next dispatch.
+  let currentListeners = new Map()
+  let nextListeners = currentListeners
+  let listenerIdCounter = 0
+  let isDispatching = false
+
+  function ensureCanMutateNextListeners() {
+    if (nextListeners === currentListeners) {
+      nextListeners = new Map(currentListeners)
+    }
+  }
+
   const store = {
     getState() {
+      if (isDispatching) {
+        throw new Error(
+          'You may not call store.getState() while the reducer is executing. ' +
+            'The reducer has already received the state as an argument.'
+        )
+      }
       return state
     },
     dispatch(action) {
-      state = reducer(state, action)
+      if (!isPlainObject(action)) {
+        throw new Error(
+          `Actions must be plain objects. Instead, the actual type was: '${kindOf(action)}'. ` +
+            'You may need to add middleware to your store setup to handle dispatching other values.'
+        )
+      }
+      if (typeof action.type === 'undefined') {
+        throw new Error(
+          'Actions may not have an undefined "type" property. You may have misspelled an action type string constant.'
+        )
+      }
+      if (isDispatching) {
+        throw new Error('Reducers may not dispatch actions.')
+      }
+
+      try {
+        isDispatching = true
+        state = currentReducer(state, action)
+      } finally {
+        isDispatching = false
+      }
+
+      const listeners = (currentListeners = nextListeners)
       listeners.forEach((listener) => {
         listener()
       })
+      return action
     },
     subscribe(listener) {
-      listeners.push(listener)
-      return function () {
-        const listenerIndex = listeners.findIndex(
-          (registeredListeners) => registeredListeners === listener
+      if (typeof listener !== 'function') {
+        throw new Error(
+          `Expected the listener to be a function. Instead, received: '${typeof listener}'`
+        )
+      }
+
+      if (isDispatching) {
+        throw new Error(
+          'You may not call store.subscribe() while the reducer is executing.'
+        )
+      }
+
+      // Keyed by id, not by function, so the same listener can subscribe twice
+      const listenerId = listenerIdCounter++
+      let isSubscribed = true
+      ensureCanMutateNextListeners()
+      nextListeners.set(listenerId, listener)
+
+      return function unsubscribe() {
+        if (!isSubscribed) return
+        if (isDispatching) {
+          throw new Error(
+            'You may not unsubscribe from a store listener while the reducer is executing.'
+          )
+        }
+        isSubscribed = false
+        ensureCanMutateNextListeners()
+        nextListeners.delete(listenerId)
+      }
+    },
+    replaceReducer(nextReducer) {
+      if (typeof nextReducer !== 'function') {
+        throw new Error(
+          `Expected the nextReducer to be a function. Instead, received: '${typeof nextReducer}'`
         )
-        listeners.splice(listenerIndex, 1)
       }
+      currentReducer = nextReducer
+      // Lets newly added slices fill in their initial state
+      store.dispatch({ type: ActionTypes.REPLACE })
     },
   }
 
-  store.dispatch({ type: '@@INIT' })
+  store[$$observable] = function observable() {
+    return {
+      subscribe(observer) {
+        if (typeof observer !== 'object' || observer === null) {
+          throw new TypeError(
+            `Expected the observer to be an object. Instead, received: '${kindOf(observer)}'`
+          )
+        }
+
+        function observeState() {
+          if (observer.next) observer.next(store.getState())
+        }
+
+        observeState()
+        const unsubscribe = store.subscribe(observeState)
+        return { unsubscribe }
+      },
+      [$$observable]() {
+        return this
+      },
+    }
+  }
+
+  store.dispatch({ type: ActionTypes.INIT })
+  if (typeof state === 'undefined') {
+    throw new Error(
+      `The reducer returned undefined during initialization (${ActionTypes.INIT}). ` +
+        'If the state passed to the reducer is undefined, you must explicitly return the initial state. ' +
+        'The initial state may not be undefined. If you don\'t want to set a value for this reducer, you can use null instead of undefined.'
+    )
+  }
   return store
 }
+
+export function compose(...funcs) {
+  if (funcs.length === 0) return (arg) => arg
+  if (funcs.length === 1) return funcs[0]
+  return funcs.reduce(
+    (a, b) =>
+      (...args) =>
+        a(b(...args))
+  )
+}
+
+export function applyMiddleware(...middlewares) {
+  return (createStore) => (reducer, preloadedState) => {
+    const store = createStore(reducer, preloadedState)
+    let dispatch = () => {
+      throw new Error(
+        'Dispatching while constructing your middleware is not allowed. ' +
+          'Other middleware would not be applied to this dispatch.'
+      )
+    }
+
+    // Every middleware gets a dispatch that goes through the whole chain,
+    // so actions dispatched from inside a middleware (like apiMiddleware's
+    // onStart/onSuccess) are seen by all the other middlewares too.
+    const middlewareAPI = {
+      getState: store.getState,
+      dispatch: (action, ...args) => dispatch(action, ...args),
+    }
+    const chain = middlewares.map((middleware) => middleware(middlewareAPI))
+    dispatch = compose(...chain)(store.dispatch)
+
+    return { ...store, dispatch }
+  }
+}
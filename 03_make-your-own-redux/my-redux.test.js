@@ -0,0 +1,80 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { myCreateStore } from './my-redux.js'
+
+const counter = (state = 0, action) =>
+  action.type === 'INCREMENT' ? state + 1 : state
+
+test('unsubscribing twice inside a listener only removes it once', () => {
+  const store = myCreateStore(counter)
+  const calls = []
+
+  const unsubscribeA = store.subscribe(() => {
+    calls.push('a')
+    unsubscribeA()
+    unsubscribeA()
+  })
+  store.subscribe(() => calls.push('b'))
+
+  store.dispatch({ type: 'INCREMENT' })
+  store.dispatch({ type: 'INCREMENT' })
+
+  assert.deepEqual(calls, ['a', 'b', 'b'])
+})
+
+test('a listener subscribed during a dispatch is called from the next dispatch on', () => {
+  const store = myCreateStore(counter)
+  const calls = []
+  let hasSubscribed = false
+
+  store.subscribe(() => {
+    calls.push('a')
+    if (!hasSubscribed) {
+      hasSubscribed = true
+      store.subscribe(() => calls.push('b'))
+    }
+  })
+
+  store.dispatch({ type: 'INCREMENT' })
+  assert.deepEqual(calls, ['a'])
+
+  store.dispatch({ type: 'INCREMENT' })
+  assert.deepEqual(calls, ['a', 'a', 'b'])
+})
+
+test('unsubscribing another listener mid-dispatch skips nobody', () => {
+  const store = myCreateStore(counter)
+  const calls = []
+
+  store.subscribe(() => {
+    calls.push('a')
+    unsubscribeB()
+  })
+  const unsubscribeB = store.subscribe(() => calls.push('b'))
+  store.subscribe(() => calls.push('c'))
+
+  store.dispatch({ type: 'INCREMENT' })
+  assert.deepEqual(calls, ['a', 'b', 'c'])
+
+  store.dispatch({ type: 'INCREMENT' })
+  assert.deepEqual(calls, ['a', 'b', 'c', 'a', 'c'])
+})
+
+test('the same function subscribed twice has two separate unsubscribes', () => {
+  const store = myCreateStore(counter)
+  const calls = []
+  const listener = () => calls.push(store.getState())
+
+  const unsubscribe1 = store.subscribe(listener)
+  const unsubscribe2 = store.subscribe(listener)
+
+  store.dispatch({ type: 'INCREMENT' })
+  unsubscribe1()
+  store.dispatch({ type: 'INCREMENT' })
+  unsubscribe1()
+  store.dispatch({ type: 'INCREMENT' })
+  unsubscribe2()
+  store.dispatch({ type: 'INCREMENT' })
+
+  assert.deepEqual(calls, [1, 1, 2, 3])
+})
@@ -0,0 +1,77 @@
+import { isIgnored, isPlainObject } from './utils.js'
+
+// Values that survive JSON.stringify/JSON.parse unchanged. Promises,
+// functions, Dates, Maps, Sets and class instances don't.
+export function isPlain(value) {
+  const type = typeof value
+  return (
+    value === undefined ||
+    value === null ||
+    type === 'string' ||
+    type === 'boolean' ||
+    type === 'number' ||
+    Array.isArray(value) ||
+    isPlainObject(value)
+  )
+}
+
+export function findNonSerializableValue(value, ignoredPaths = [], path = '') {
+  if (!isPlain(value)) {
+    return { keyPath: path || '<root>', value }
+  }
+  if (typeof value !== 'object' || value === null) return false
+
+  for (const [key, nestedValue] of Object.entries(value)) {
+    const nestedPath = path ? `${path}.${key}` : key
+    if (isIgnored(nestedPath, ignoredPaths)) continue
+
+    const found = findNonSerializableValue(
+      nestedValue,
+      ignoredPaths,
+      nestedPath
+    )
+    if (found) return found
+  }
+  return false
+}
+
+// Dev only: logs non-serializable values found in dispatched actions or in
+// the state, since they break persistence, time travel and the DevTools
+export const serializableCheck =
+  ({
+    ignoredActions = [],
+    ignoredActionPaths = ['meta.arg'],
+    ignoredPaths = [],
+  } = {}) =>
+  ({ getState }) =>
+  (next) =>
+  (action) => {
+    // Thunks are meant to be handled by an earlier middleware
+    if (typeof action === 'function') return next(action)
+
+    const returnValue = next(action)
+    if (ignoredActions.includes(action.type)) return returnValue
+
+    const foundActionValue = findNonSerializableValue(
+      action,
+      ignoredActionPaths
+    )
+    if (foundActionValue) {
+      console.error(
+        `A non-serializable value was detected in an action, in the path: \`${foundActionValue.keyPath}\`. Value:`,
+        foundActionValue.value,
+        '\nTake a look at the logic that dispatched this action: ',
+        action
+      )
+    }
+
+    const foundStateValue = findNonSerializableValue(getState(), ignoredPaths)
+    if (foundStateValue) {
+      console.error(
+        `A non-serializable value was detected in the state, in the path: \`${foundStateValue.keyPath}\`. Value:`,
+        foundStateValue.value,
+        `\nTake a look at the reducer(s) handling this action type: ${action.type}.`
+      )
+    }
+    return returnValue
+  }
@@ -0,0 +1,65 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { applyMiddleware, myCreateStore } from './my-redux.js'
+import {
+  findNonSerializableValue,
+  serializableCheck,
+} from './serializable-check.js'
+
+const reducer = (state = { items: [] }, action) =>
+  action.type === 'SET' ? { ...state, [action.key]: action.payload } : state
+
+// Runs fn and returns the messages serializableCheck logged meanwhile
+function captureErrors(t, fn) {
+  const messages = []
+  t.mock.method(console, 'error', (message) => messages.push(message))
+  fn()
+  return messages
+}
+
+const nonSerializableValues = {
+  Date: new Date(0),
+  function: () => {},
+  Promise: Promise.resolve(),
+}
+
+test('finds the path of a non-serializable value', () => {
+  const value = { a: [1, { b: new Map() }] }
+  assert.deepEqual(findNonSerializableValue(value), {
+    keyPath: 'a.1.b',
+    value: value.a[1].b,
+  })
+  assert.equal(findNonSerializableValue({ a: [1, 'two', null] }), false)
+})
+
+for (const [name, value] of Object.entries(nonSerializableValues)) {
+  test(`logs a ${name} in an action and in the state`, (t) => {
+    const store = myCreateStore(reducer, applyMiddleware(serializableCheck()))
+
+    const messages = captureErrors(t, () =>
+      store.dispatch({ type: 'SET', key: 'value', payload: value })
+    )
+    assert.equal(messages.length, 2)
+    assert.match(messages[0], /in an action, in the path: `payload`/)
+    assert.match(messages[1], /in the state, in the path: `value`/)
+  })
+}
+
+test('skips ignoredActions, ignoredActionPaths and ignoredPaths', (t) => {
+  const store = myCreateStore(
+    reducer,
+    applyMiddleware(
+      serializableCheck({
+        ignoredActions: ['SET_IGNORED'],
+        ignoredActionPaths: ['payload'],
+        ignoredPaths: ['value'],
+      })
+    )
+  )
+
+  const messages = captureErrors(t, () => {
+    store.dispatch({ type: 'SET', key: 'value', payload: new Date(0) })
+    store.dispatch({ type: 'SET_IGNORED', payload: new Date(0) })
+  })
+  assert.deepEqual(messages, [])
+})
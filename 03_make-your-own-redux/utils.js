@@ -0,0 +1,18 @@
+export function isPlainObject(obj) {
+  if (typeof obj !== 'object' || obj === null) return false
+  const proto = Object.getPrototypeOf(obj)
+  return proto === null || proto === Object.prototype
+}
+
+export function kindOf(value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  if (value instanceof Date) return 'date'
+  return typeof value
+}
+
+// 'cache' also ignores everything below it, like 'cache.items'
+export const isIgnored = (path, ignoredPaths) =>
+  ignoredPaths.some(
+    (ignoredPath) => path === ignoredPath || path.startsWith(`${ignoredPath}.`)
+  )
@@ -0,0 +1,8 @@
+import cartReducer from './cartReducer'
+
+// The /cart "route". It is only imported once the route is visited, and
+// brings its own slice along. The returned function unmounts the slice again.
+export function mountCartRoute(reducerManager) {
+  reducerManager.add('cartItems', cartReducer)
+  return () => reducerManager.remove('cartItems')
+}
@@ -0,0 +1,123 @@
+const randomString = () => Math.random().toString(36).substring(7)
+
+const ActionTypes = {
+  INIT: `@@redux/INIT${randomString()}`,
+  PROBE_UNKNOWN_ACTION: () => `@@redux/PROBE_UNKNOWN_ACTION${randomString()}`,
+}
+
+function assertReducerShape(reducers) {
+  Object.keys(reducers).forEach((key) => {
+    const reducer = reducers[key]
+
+    if (typeof reducer(undefined, { type: ActionTypes.INIT }) === 'undefined') {
+      throw new Error(
+        `The slice reducer for key "${key}" returned undefined during initialization. ` +
+          'If the state passed to the reducer is undefined, you must explicitly return the initial state. ' +
+          "If you don't want to set a value for this reducer, you can use null instead of undefined."
+      )
+    }
+
+    const probeAction = { type: ActionTypes.PROBE_UNKNOWN_ACTION() }
+    if (typeof reducer(undefined, probeAction) === 'undefined') {
+      throw new Error(
+        `The slice reducer for key "${key}" returned undefined when probed with a random type. ` +
+          'For any unknown action, you must return the current state. ' +
+          'If the current state is undefined, you must return the initial state.'
+      )
+    }
+  })
+}
+
+// Warns once per key about state keys that no reducer is responsible for
+function warnAboutUnexpectedKeys(state, reducers, unexpectedKeyCache) {
+  const unexpectedKeys = Object.keys(state).filter(
+    (key) => !reducers.hasOwnProperty(key) && !unexpectedKeyCache[key]
+  )
+  unexpectedKeys.forEach((key) => {
+    unexpectedKeyCache[key] = true
+  })
+
+  if (unexpectedKeys.length > 0) {
+    console.warn(
+      `Unexpected ${unexpectedKeys.length > 1 ? 'keys' : 'key'} ` +
+        `"${unexpectedKeys.join('", "')}" found in the state. ` +
+        `Expected to find one of the known reducer keys instead: "${Object.keys(
+          reducers
+        ).join('", "')}". Unexpected keys will be ignored.`
+    )
+  }
+}
+
+function isPlainObject(obj) {
+  if (typeof obj !== 'object' || obj === null) return false
+  const proto = Object.getPrototypeOf(obj)
+  return proto === null || proto === Object.prototype
+}
+
+// Accepts nested reducer maps too, e.g.
+// combineReducers({ shop: { cartItems, wishList }, catalog: { products } })
+export function combineReducers(reducers) {
+  const finalReducers = {}
+  Object.keys(reducers).forEach((key) => {
+    if (typeof reducers[key] === 'function') {
+      finalReducers[key] = reducers[key]
+    } else if (isPlainObject(reducers[key])) {
+      finalReducers[key] = combineReducers(reducers[key])
+    } else if (typeof reducers[key] === 'undefined') {
+      // Usually a bad import, which would otherwise silently lose this state
+      console.warn(`No reducer provided for key "${key}"`)
+    } else {
+      console.warn(
+        `The reducer for key "${key}" must be a function or an object of reducers. ` +
+          `Instead, received: '${typeof reducers[key]}'`
+      )
+    }
+  })
+  const reducerKeys = Object.keys(finalReducers)
+
+  assertReducerShape(finalReducers)
+  const unexpectedKeyCache = {}
+
+  return function (state = {}, action) {
+    warnAboutUnexpectedKeys(state, finalReducers, unexpectedKeyCache)
+
+    let hasChanged = false
+    const nextState = {}
+
+    for (let i = 0; i < reducerKeys.length; i++) {
+      const key = reducerKeys[i]
+      const reducer = finalReducers[key]
+      const previousStateForKey = state[key]
+      const nextStateForKey = reducer(previousStateForKey, action)
+      if (typeof nextStateForKey === 'undefined') {
+        throw new Error(
+          `When called with an action of type "${action.type}", the slice reducer for key "${key}" returned undefined. ` +
+            'To ignore an action, you must explicitly return the previous state. ' +
+            'If you want this reducer to hold no value, you can return null instead of undefined.'
+        )
+      }
+      nextState[key] = nextStateForKey
+      hasChanged = hasChanged || nextStateForKey !== previousStateForKey
+    }
+
+    // Keys without a reducer are dropped, so that also counts as a change
+    hasChanged = hasChanged || reducerKeys.length !== Object.keys(state).length
+
+    // Same reference as before means subscribers can skip re-rendering
+    return hasChanged ? nextState : state
+  }
+}
+
+// Runs several reducers one after another on the same slice of state.
+// An initial state can be passed as the first argument.
+export function reduceReducers(...args) {
+  const initialState = typeof args[0] === 'function' ? undefined : args.shift()
+  const reducers = args
+
+  return function (state = initialState, action) {
+    return reducers.reduce(
+      (currentState, reducer) => reducer(currentState, action),
+      state
+    )
+  }
+}
@@ -0,0 +1,51 @@
+import { combineReducers } from './combineReducers'
+
+// Keeps track of the slice reducers of a store, so features (like a lazily
+// loaded /cart page) can add their reducer when they mount and remove it
+// when they are no longer needed.
+export function createReducerManager(initialReducers = {}) {
+  const reducers = { ...initialReducers }
+  let combinedReducer = combineReducers(reducers)
+  let keysToRemove = []
+  let store = null
+
+  function reduce(state, action) {
+    // State of removed reducers is dropped on the next action
+    if (state && keysToRemove.length > 0) {
+      state = { ...state }
+      keysToRemove.forEach((key) => {
+        delete state[key]
+      })
+      keysToRemove = []
+    }
+    return combinedReducer(state, action)
+  }
+
+  function update() {
+    combinedReducer = combineReducers(reducers)
+    // replaceReducer dispatches an action, which also initialises new keys
+    // and cleans up removed ones right away
+    if (store) store.replaceReducer(reduce)
+  }
+
+  return {
+    reduce,
+    // A copy, so changes can only go through add() and remove()
+    getReducerMap: () => ({ ...reducers }),
+    bindStore(nextStore) {
+      store = nextStore
+    },
+    add(key, reducer) {
+      if (!key || reducers[key] === reducer) return
+      reducers[key] = reducer
+      keysToRemove = keysToRemove.filter((removedKey) => removedKey !== key)
+      update()
+    },
+    remove(key) {
+      if (!key || !reducers[key]) return
+      delete reducers[key]
+      keysToRemove.push(key)
+      update()
+    },
+  }
+}
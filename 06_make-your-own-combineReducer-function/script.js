@@ -1,4 +1,6 @@
 import { createStore } from 'redux'
+import { combineReducers } from './combineReducers'
+import { createReducerManager } from './reducerManager'
 import productsReducer from './productsReducer'
 import cartReducer, {
   CART_ADD_ITEM,
@@ -10,24 +12,6 @@ import wishListReducer, {
   WISHLIST_REMOVE_ITEM,
 } from './wishListReducer'
 
-function combineReducers(reducers) {
-  const reducerKeys = Object.keys(reducers)
-
-  return function (state = {}, action) {
-    const nextState = {}
-    
-    for (let i = 0; i < reducerKeys.length; i++) {
-      const key = reducerKeys[i]
-      const reducer = reducers[key]
-      const previousStateForKey = state[key]
-      const nextStateForKey = reducer(previousStateForKey, action)
-      nextState[key] = nextStateForKey
-    }
-
-    return nextState
-  }
-}
-
 const reducer = combineReducers({
   products: productsReducer,
   cartItems: cartReducer,
@@ -59,3 +43,45 @@ store.dispatch({ type: WISHLIST_ADD_ITEM, payload: { productId: 11 } })
 store.dispatch({ type: WISHLIST_REMOVE_ITEM, payload: { productId: 11 } })
 store.dispatch({ type: WISHLIST_REMOVE_ITEM, payload: { productId: 18 } })
 console.log(store.getState())
+
+// Nested reducer maps build a nested state tree
+const shopStore = createStore(
+  combineReducers({
+    shop: { cartItems: cartReducer, wishList: wishListReducer },
+    catalog: { products: productsReducer },
+  })
+)
+shopStore.dispatch({ type: CART_ADD_ITEM, payload: { productId: 1, quantity: 1 } })
+console.log(shopStore.getState())
+
+// Adding and removing reducers at runtime (e.g. when the /cart page loads)
+const reducerManager = createReducerManager({ products: productsReducer })
+const lazyStore = createStore(reducerManager.reduce)
+reducerManager.bindStore(lazyStore)
+
+reducerManager.add('cartItems', cartReducer)
+lazyStore.dispatch({ type: CART_ADD_ITEM, payload: { productId: 1, quantity: 1 } })
+console.log(lazyStore.getState())
+
+reducerManager.remove('cartItems')
+console.log(lazyStore.getState())
+
+// A lazily loaded /cart route mounts its slice when it is visited and
+// removes it when leaving (open index.html#/cart)
+let unmountCartRoute = null
+
+async function handleRouteChange() {
+  if (location.hash === '#/cart') {
+    if (!unmountCartRoute) {
+      const { mountCartRoute } = await import('./cartRoute')
+      unmountCartRoute = mountCartRoute(reducerManager)
+    }
+  } else if (unmountCartRoute) {
+    unmountCartRoute()
+    unmountCartRoute = null
+  }
+  console.log(location.hash || '#/', lazyStore.getState())
+}
+
+window.addEventListener('hashchange', handleRouteChange)
+handleRouteChange()
@@ -1,22 +1,274 @@
-import { createContext, useContext, useEffect, useState } from 'react'
+import {
+  createContext,
+  forwardRef,
+  memo,
+  useCallback,
+  useContext,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+  useSyncExternalStore,
+} from 'react'
 
-const StoreContext = createContext()
+const StoreContext = createContext(null)
+
+const refEquality = (a, b) => a === b
+
+// useLayoutEffect warns when rendered on the server
+const useIsomorphicLayoutEffect =
+  typeof window !== 'undefined' ? useLayoutEffect : useEffect
+
+// The Provider holds the only subscription to the store and passes every
+// store update on to the components below it. Subscribing and unsubscribing
+// are idempotent, so StrictMode running effects twice is harmless.
+function createSubscription(store) {
+  const listeners = new Set()
+  let unsubscribe = null
+
+  function notifyNestedSubs() {
+    // Copy first, so listeners (un)subscribing right now don't disturb the loop
+    Array.from(listeners).forEach((listener) => listener())
+  }
+
+  return {
+    addNestedSub(listener) {
+      listeners.add(listener)
+      return () => {
+        listeners.delete(listener)
+      }
+    },
+    notifyNestedSubs,
+    trySubscribe() {
+      if (!unsubscribe) unsubscribe = store.subscribe(notifyNestedSubs)
+    },
+    tryUnsubscribe() {
+      if (unsubscribe) {
+        unsubscribe()
+        unsubscribe = null
+      }
+    },
+  }
+}
 
 export function Provider({ children, store }) {
-  const [state, setState] = useState(store.getState())
-  useEffect(() => {
-    store.subscribe(() => {
-      setState(store.getState())
-    })
-  }, [])
+  // A new store prop gets a new subscription (and drops the old one)
+  const contextValue = useMemo(
+    () => ({ store, subscription: createSubscription(store) }),
+    [store]
+  )
+  const previousState = useMemo(() => store.getState(), [store])
+
+  useIsomorphicLayoutEffect(() => {
+    const { subscription } = contextValue
+    subscription.trySubscribe()
+
+    // Catch up with actions dispatched between render and this effect
+    if (previousState !== store.getState()) {
+      subscription.notifyNestedSubs()
+    }
+    return () => {
+      subscription.tryUnsubscribe()
+    }
+  }, [contextValue, previousState])
 
   return (
-    <StoreContext.Provider value={{ state, dispatch: store.dispatch }}>
+    <StoreContext.Provider value={contextValue}>
       {children}
     </StoreContext.Provider>
   )
 }
 
-export const useDispatch = () => useContext(StoreContext).dispatch
-export const useSelector = (selector) =>
-  selector(useContext(StoreContext).state)
+function useReduxContext() {
+  const contextValue = useContext(StoreContext)
+  if (!contextValue) {
+    throw new Error(
+      'Could not find the store. Make sure the component is wrapped in a <Provider>.'
+    )
+  }
+  return contextValue
+}
+
+export const useStore = () => useReduxContext().store
+export const useDispatch = () => useStore().dispatch
+
+// Re-renders the component only when the selected value changes (according
+// to equalityFn), not on every dispatch
+export function useSelector(selector, equalityFn = refEquality) {
+  const { store, subscription } = useReduxContext()
+  const lastRendered = useRef({ hasValue: false, value: undefined })
+
+  const getSelection = useMemo(() => {
+    let hasMemo = false
+    let memoizedState
+    let memoizedSelection
+
+    return () => {
+      const state = store.getState()
+      if (hasMemo && memoizedState === state) return memoizedSelection
+
+      const nextSelection = selector(state)
+      // Keep handing out the old reference while it is still "equal", so
+      // useSyncExternalStore sees no change and skips the re-render
+      const previousSelection = hasMemo
+        ? memoizedSelection
+        : lastRendered.current.hasValue
+        ? lastRendered.current.value
+        : undefined
+      const isEqual =
+        (hasMemo || lastRendered.current.hasValue) &&
+        equalityFn(previousSelection, nextSelection)
+
+      hasMemo = true
+      memoizedState = state
+      memoizedSelection = isEqual ? previousSelection : nextSelection
+      return memoizedSelection
+    }
+  }, [store, selector, equalityFn])
+
+  const subscribe = useCallback(
+    (listener) => subscription.addNestedSub(listener),
+    [subscription]
+  )
+  const selectedValue = useSyncExternalStore(subscribe, getSelection)
+
+  useEffect(() => {
+    lastRendered.current = { hasValue: true, value: selectedValue }
+  }, [selectedValue])
+
+  return selectedValue
+}
+
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true
+  if (
+    typeof a !== 'object' ||
+    a === null ||
+    typeof b !== 'object' ||
+    b === null
+  ) {
+    return false
+  }
+  const keysA = Object.keys(a)
+  const keysB = Object.keys(b)
+  return (
+    keysA.length === keysB.length &&
+    keysA.every(
+      (key) =>
+        Object.prototype.hasOwnProperty.call(b, key) && Object.is(a[key], b[key])
+    )
+  )
+}
+
+const EMPTY_STATE_PROPS = {}
+
+const defaultMergeProps = (stateProps, dispatchProps, ownProps) => ({
+  ...ownProps,
+  ...stateProps,
+  ...dispatchProps,
+})
+
+// Object shorthand: { addCartItem } becomes
+// { addCartItem: (...args) => dispatch(addCartItem(...args)) }
+export function bindActionCreators(actionCreators, dispatch) {
+  const boundActionCreators = {}
+  Object.keys(actionCreators).forEach((key) => {
+    if (typeof actionCreators[key] === 'function') {
+      boundActionCreators[key] = (...args) =>
+        dispatch(actionCreators[key](...args))
+    }
+  })
+  return boundActionCreators
+}
+
+function getDispatchProps(mapDispatchToProps, dispatch, ownProps) {
+  if (!mapDispatchToProps) return { dispatch }
+  if (typeof mapDispatchToProps === 'function') {
+    return mapDispatchToProps(dispatch, ownProps)
+  }
+  return bindActionCreators(mapDispatchToProps, dispatch)
+}
+
+// Keeps returning the previous value while it is still equal to the new one
+function useEqualityMemo(value, equalityFn) {
+  const previous = useRef(value)
+  if (!equalityFn(previous.current, value)) previous.current = value
+  return previous.current
+}
+
+// For class components (or anywhere hooks don't fit):
+// connect(mapStateToProps?, mapDispatchToProps?, mergeProps?, options?)(Component)
+//
+// The wrapped component only re-renders when its own props, its state props
+// or its merged props change, compared with shallowEqual by default.
+export function connect(
+  mapStateToProps,
+  mapDispatchToProps,
+  mergeProps,
+  options
+) {
+  // null is a common way to skip an argument, e.g.
+  // connect(mapStateToProps, null, null, { forwardRef: true })
+  const finalMergeProps = mergeProps || defaultMergeProps
+  const {
+    forwardRef: shouldForwardRef = false,
+    areOwnPropsEqual = shallowEqual,
+    areStatePropsEqual = shallowEqual,
+    areMergedPropsEqual = shallowEqual,
+  } = options || {}
+
+  // Only recompute when ownProps change if the map functions actually use them
+  const stateDependsOnOwnProps =
+    typeof mapStateToProps === 'function' && mapStateToProps.length !== 1
+  const dispatchDependsOnOwnProps =
+    typeof mapDispatchToProps === 'function' && mapDispatchToProps.length !== 1
+
+  return function wrapWithConnect(WrappedComponent) {
+    const wrappedComponentName =
+      WrappedComponent.displayName || WrappedComponent.name || 'Component'
+
+    function ConnectFunction({ reactReduxForwardedRef, ...ownProps }) {
+      const { store } = useReduxContext()
+
+      const selectStateProps = useCallback(
+        (state) =>
+          mapStateToProps
+            ? mapStateToProps(state, ownProps)
+            : EMPTY_STATE_PROPS,
+        [stateDependsOnOwnProps ? ownProps : null]
+      )
+      const stateProps = useSelector(selectStateProps, areStatePropsEqual)
+
+      const dispatchProps = useMemo(
+        () => getDispatchProps(mapDispatchToProps, store.dispatch, ownProps),
+        [store, dispatchDependsOnOwnProps ? ownProps : null]
+      )
+
+      const mergedProps = useEqualityMemo(
+        finalMergeProps(stateProps, dispatchProps, ownProps),
+        areMergedPropsEqual
+      )
+
+      // Same element as last time means React skips rendering the component
+      return useMemo(
+        () => (
+          <WrappedComponent {...mergedProps} ref={reactReduxForwardedRef} />
+        ),
+        [mergedProps, reactReduxForwardedRef]
+      )
+    }
+
+    const Connect = memo(ConnectFunction, areOwnPropsEqual)
+    Connect.displayName = `Connect(${wrappedComponentName})`
+    Connect.WrappedComponent = WrappedComponent
+
+    if (!shouldForwardRef) return Connect
+
+    const ForwardedConnect = forwardRef((props, ref) => (
+      <Connect {...props} reactReduxForwardedRef={ref} />
+    ))
+    ForwardedConnect.displayName = Connect.displayName
+    ForwardedConnect.WrappedComponent = WrappedComponent
+    return ForwardedConnect
+  }
+}
@@ -7,6 +7,7 @@ import {
 } from '../store/slices/productsSlice'
 import {
   fetchCartItemsData,
+  getCartList,
 } from '../store/slices/cartSlice'
 
 export default function Header() {
@@ -15,7 +16,7 @@ export default function Header() {
     dispatch(fetchProductsData())
     dispatch(fetchCartItemsData())
   }, [])
-  const cartItems = useSelector((state) => state.cartItems.list)
+  const cartItems = useSelector(getCartList)
   return (
     <header>
       <div className="header-contents">
@@ -1,19 +1,34 @@
 import React from 'react'
 import CartItem from '../components/CartItem'
-import { useSelector } from 'react-redux'
+import { useDispatch, useSelector } from 'react-redux'
 import {
   getAllCartItems,
+  getCanRedoCart,
+  getCanUndoCart,
   getCartError,
   getCartLoadingState,
+  redoCartChange,
+  undoCartChange,
 } from '../store/slices/cartSlice'
 
 export default function Cart() {
+  const dispatch = useDispatch()
   const cartItems = useSelector(getAllCartItems)
   const isLoading = useSelector(getCartLoadingState)
   const error = useSelector(getCartError)
+  const canUndo = useSelector(getCanUndoCart)
+  const canRedo = useSelector(getCanRedoCart)
   return (
     <div className="cart-container">
       <h2>Items in Your Cart</h2>
+      <div className="cart-history">
+        <button disabled={!canUndo} onClick={() => dispatch(undoCartChange())}>
+          Undo
+        </button>
+        <button disabled={!canRedo} onClick={() => dispatch(redoCartChange())}>
+          Redo
+        </button>
+      </div>
       <div className="cart-items-container">
         <div className="cart-header cart-item-container">
           <div className="cart-item">Item</div>
@@ -1,24 +1,613 @@
-import { produce } from 'immer'
+import { isDraft, produce } from 'immer'
+import { FSA_KEYS } from './utils.js'
+
+// The action creator knows its own type, so there is no separate type
+// constant to keep in sync with it (or to copy-paste wrongly).
+export function createAction(type, prepareAction) {
+  function actionCreator(...args) {
+    if (prepareAction) {
+      const prepared = prepareAction(...args)
+      if (!prepared) {
+        throw new Error('prepareAction did not return an object')
+      }
+      return {
+        type,
+        payload: prepared.payload,
+        ...('meta' in prepared && { meta: prepared.meta }),
+        ...('error' in prepared && { error: prepared.error }),
+      }
+    }
+    return { type, payload: args[0] }
+  }
+
+  actionCreator.type = type
+  actionCreator.toString = () => type
+  actionCreator.match = (action) => action?.type === type
+
+  return actionCreator
+}
+
+// Collects the cases registered in `extraReducers: (builder) => { ... }`
+function buildExtraReducers(builderCallback) {
+  const actionsMap = {}
+  const actionMatchers = []
+  let defaultCaseReducer
+
+  const builder = {
+    addCase(typeOrActionCreator, reducer) {
+      const type =
+        typeof typeOrActionCreator === 'string'
+          ? typeOrActionCreator
+          : typeOrActionCreator.type
+      if (!type) {
+        throw new Error(
+          'builder.addCase() cannot be called with an empty action type'
+        )
+      }
+      if (actionMatchers.length > 0 || defaultCaseReducer) {
+        throw new Error(
+          'builder.addCase() should only be called before builder.addMatcher() and builder.addDefaultCase()'
+        )
+      }
+      if (type in actionsMap) {
+        throw new Error(
+          `builder.addCase() cannot be called with two reducers for the same action type '${type}'`
+        )
+      }
+      actionsMap[type] = reducer
+      return builder
+    },
+    addMatcher(matcher, reducer) {
+      if (defaultCaseReducer) {
+        throw new Error(
+          'builder.addMatcher() should only be called before builder.addDefaultCase()'
+        )
+      }
+      // Accepts a predicate or anything with a .match() (like action creators)
+      const match = typeof matcher === 'function' ? matcher : matcher.match
+      actionMatchers.push({ match, reducer })
+      return builder
+    },
+    addDefaultCase(reducer) {
+      if (defaultCaseReducer) {
+        throw new Error('builder.addDefaultCase() can only be called once')
+      }
+      defaultCaseReducer = reducer
+      return builder
+    },
+  }
+
+  if (builderCallback) builderCallback(builder)
+  return { actionsMap, actionMatchers, defaultCaseReducer }
+}
 
 export function myCreateSlice(config) {
-  const { name, initialState, reducers } = config
+  const {
+    name,
+    initialState,
+    reducers = {},
+    extraReducers,
+    selectors = {},
+    reducerPath = name,
+  } = config
   const actions = {}
+  const caseReducers = {}
+  const caseReducersByType = {}
+
+  // initialState can also be a function that creates it lazily
+  const getInitialState = () =>
+    typeof initialState === 'function' ? initialState() : initialState
 
+  // A case reducer is either a function or { reducer, prepare }, where
+  // prepare customises the action, like createAction's prepare callback
   Object.keys(reducers).forEach((key) => {
-    actions[key] = function (payload) {
+    const type = `${name}/${key}`
+    const { reducer: caseReducer, prepare } =
+      typeof reducers[key] === 'function'
+        ? { reducer: reducers[key] }
+        : reducers[key]
+
+    caseReducers[key] = caseReducer
+    caseReducersByType[type] = caseReducer
+    actions[key] = createAction(type, prepare)
+  })
+
+  const { actionsMap, actionMatchers, defaultCaseReducer } =
+    buildExtraReducers(extraReducers)
+
+  // Like RTK: the exact case first, then every matching matcher in order,
+  // and the default case only when nothing else handled the action
+  function reducer(originalState = getInitialState(), action) {
+    const matchingReducers = [
+      caseReducersByType[action.type] ?? actionsMap[action.type],
+      ...actionMatchers
+        .filter(({ match }) => match(action))
+        .map(({ reducer }) => reducer),
+    ].filter(Boolean)
+
+    if (matchingReducers.length === 0 && defaultCaseReducer) {
+      matchingReducers.push(defaultCaseReducer)
+    }
+
+    return matchingReducers.reduce(
+      (previousState, caseReducer) =>
+        produce(previousState, (state) => caseReducer(state, action)),
+      originalState
+    )
+  }
+  // Slice selectors are written against the slice state, e.g.
+  // selectors: { selectList: (cartState) => cartState.list }
+  const selectSlice = (rootState) => rootState[reducerPath]
+  const selectSelf = (sliceState) => sliceState
+  const selectorsCache = new WeakMap()
+
+  function getSelectors(selectState = selectSelf) {
+    if (!selectorsCache.has(selectState)) {
+      const boundSelectors = {}
+      Object.keys(selectors).forEach((key) => {
+        boundSelectors[key] = (state, ...args) =>
+          selectors[key](selectState(state), ...args)
+      })
+      selectorsCache.set(selectState, boundSelectors)
+    }
+    return selectorsCache.get(selectState)
+  }
+
+  return {
+    name,
+    reducerPath,
+    actions,
+    caseReducers,
+    reducer,
+    getInitialState,
+    selectSlice,
+    getSelectors,
+    // Bound to where the slice lives in the root state: state[reducerPath]
+    selectors: getSelectors(selectSlice),
+  }
+}
+
+const nanoid = (size = 21) =>
+  Array.from({ length: size }, () =>
+    Math.floor(Math.random() * 36).toString(36)
+  ).join('')
+
+// Errors can't be put in the store as they are, only their plain fields
+function miniSerializeError(value) {
+  if (typeof value === 'object' && value !== null) {
+    const serialized = {}
+    for (const property of ['name', 'message', 'stack', 'code']) {
+      if (typeof value[property] === 'string') {
+        serialized[property] = value[property]
+      }
+    }
+    return serialized
+  }
+  return { message: String(value) }
+}
+
+class RejectWithValue {
+  constructor(payload) {
+    this.payload = payload
+  }
+}
+
+// Returns the payload of a fulfilled action, throws for a rejected one
+export function unwrapResult(action) {
+  if (action.error) throw action.payload
+  return action.payload
+}
+
+// Dispatches `${typePrefix}/pending`, then `/fulfilled` or `/rejected`.
+// The returned thunk needs the `func` middleware (or any thunk middleware).
+//
+// Rejected actions follow the Flux Standard Action shape: `error: true` and
+// the payload is either the value passed to rejectWithValue() or the
+// serialized error (meta.rejectedWithValue tells them apart).
+export function createAsyncThunk(typePrefix, payloadCreator, options = {}) {
+  const {
+    condition,
+    dispatchConditionRejection = false,
+    // Gets the thunk argument, which must not end up as nanoid's `size`
+    idGenerator = () => nanoid(),
+  } = options
+
+  const pending = createAction(`${typePrefix}/pending`, (requestId, arg) => ({
+    payload: undefined,
+    meta: { arg, requestId, requestStatus: 'pending' },
+  }))
+
+  const fulfilled = createAction(
+    `${typePrefix}/fulfilled`,
+    (payload, requestId, arg) => ({
+      payload,
+      meta: { arg, requestId, requestStatus: 'fulfilled' },
+    })
+  )
+
+  const rejected = createAction(
+    `${typePrefix}/rejected`,
+    (error, requestId, arg, rejectedValue) => {
+      const rejectedWithValue = rejectedValue instanceof RejectWithValue
       return {
-        type: `${name}/${key}`,
-        payload,
+        payload: rejectedWithValue
+          ? rejectedValue.payload
+          : miniSerializeError(error),
+        error: true,
+        meta: {
+          arg,
+          requestId,
+          requestStatus: 'rejected',
+          rejectedWithValue,
+          aborted: error?.name === 'AbortError',
+          condition: error?.name === 'ConditionError',
+        },
       }
     }
+  )
+
+  function actionCreator(arg) {
+    return (dispatch, getState, extra) => {
+      const requestId = idGenerator(arg)
+      const abortController = new AbortController()
+      let abortReason
+
+      const abortedPromise = new Promise((_, reject) => {
+        abortController.signal.addEventListener('abort', () =>
+          reject({ name: 'AbortError', message: abortReason || 'Aborted' })
+        )
+      })
+      // Aborting after the thunk has settled is fine and shouldn't show up
+      // as an unhandled rejection
+      abortedPromise.catch(() => {})
+
+      function abort(reason) {
+        abortReason = reason
+        abortController.abort()
+      }
+
+      const promise = (async () => {
+        let finalAction
+        try {
+          // Checked synchronously when possible, so two dispatches in a row
+          // can't both get past it before the first one is pending
+          let conditionResult = condition?.(arg, { getState, extra })
+          if (conditionResult instanceof Promise) {
+            conditionResult = await conditionResult
+          }
+          if (conditionResult === false) {
+            throw {
+              name: 'ConditionError',
+              message: 'Aborted due to condition callback returning false.',
+            }
+          }
+
+          dispatch(pending(requestId, arg))
+          finalAction = await Promise.race([
+            abortedPromise,
+            Promise.resolve(
+              payloadCreator(arg, {
+                dispatch,
+                getState,
+                extra,
+                requestId,
+                signal: abortController.signal,
+                abort,
+                rejectWithValue: (value) => new RejectWithValue(value),
+              })
+            ).then((result) =>
+              result instanceof RejectWithValue
+                ? rejected(null, requestId, arg, result)
+                : fulfilled(result, requestId, arg)
+            ),
+          ])
+        } catch (err) {
+          finalAction =
+            err instanceof RejectWithValue
+              ? rejected(null, requestId, arg, err)
+              : rejected(err, requestId, arg)
+        }
+
+        const skipDispatch =
+          finalAction.meta.condition && !dispatchConditionRejection
+        if (!skipDispatch) dispatch(finalAction)
+        return finalAction
+      })()
+
+      return Object.assign(promise, {
+        abort,
+        requestId,
+        arg,
+        unwrap: () => promise.then(unwrapResult),
+      })
+    }
+  }
+
+  return Object.assign(actionCreator, {
+    pending,
+    fulfilled,
+    rejected,
+    typePrefix,
   })
+}
 
-  function reducer(originalState = initialState, action) {
-    return produce(originalState, (state) => {
-      const caseReducer = reducers[action.type.split('/')[1]]
-      if (caseReducer) return caseReducer(state, action)
+// Case reducers of the entity adapter can be used both as
+// `adapter.addOne(state, entity)` and as a slice reducer receiving an action,
+// on an immer draft or on plain state
+function createStateOperator(mutator) {
+  return function operation(state, arg) {
+    const isAction =
+      typeof arg === 'object' &&
+      arg !== null &&
+      typeof arg.type === 'string' &&
+      Object.keys(arg).every((key) => FSA_KEYS.includes(key))
+    const payload = isAction ? arg.payload : arg
+    if (isDraft(state)) {
+      mutator(state, payload)
       return state
+    }
+    return produce(state, (draft) => {
+      mutator(draft, payload)
     })
   }
-  return { actions, reducer }
+}
+
+// Keeps a collection normalized as { ids: [], entities: { [id]: entity } },
+// so looking up an entity by id doesn't need a find()/findIndex()
+export function createEntityAdapter(options = {}) {
+  const { selectId = (entity) => entity.id, sortComparer = false } = options
+
+  function getInitialState(additionalState = {}) {
+    return { ids: [], entities: {}, ...additionalState }
+  }
+
+  function sortIds(state) {
+    if (!sortComparer) return
+    state.ids = Object.values(state.entities)
+      .sort(sortComparer)
+      .map(selectId)
+  }
+
+  function addOne(state, entity) {
+    const id = selectId(entity)
+    if (id in state.entities) return
+    state.ids.push(id)
+    state.entities[id] = entity
+  }
+
+  function setOne(state, entity) {
+    const id = selectId(entity)
+    if (!(id in state.entities)) state.ids.push(id)
+    state.entities[id] = entity
+  }
+
+  function updateOne(state, { id, changes }) {
+    const entity = state.entities[id]
+    if (!entity) return
+    const updated = { ...entity, ...changes }
+    const newId = selectId(updated)
+    if (newId !== id) {
+      delete state.entities[id]
+      state.ids[state.ids.indexOf(id)] = newId
+    }
+    state.entities[newId] = updated
+  }
+
+  function upsertOne(state, entity) {
+    const id = selectId(entity)
+    if (id in state.entities) updateOne(state, { id, changes: entity })
+    else addOne(state, entity)
+  }
+
+  function removeMany(state, ids) {
+    const idsToRemove = new Set(ids.filter((id) => id in state.entities))
+    if (idsToRemove.size === 0) return
+    idsToRemove.forEach((id) => {
+      delete state.entities[id]
+    })
+    state.ids = state.ids.filter((id) => !idsToRemove.has(id))
+  }
+
+  function setAll(state, entities) {
+    state.ids = []
+    state.entities = {}
+    entities.forEach((entity) => setOne(state, entity))
+  }
+
+  const withSorting = (mutator) => (state, payload) => {
+    mutator(state, payload)
+    sortIds(state)
+  }
+  const forMany = (mutator) => (state, entities) =>
+    entities.forEach((entity) => mutator(state, entity))
+
+  function getSelectors(selectState) {
+    const selectIds = (state) => state.ids
+    const selectEntities = (state) => state.entities
+    const selectAll = createSelector(
+      [selectIds, selectEntities],
+      (ids, entities) => ids.map((id) => entities[id])
+    )
+
+    const localSelectors = {
+      selectIds,
+      selectEntities,
+      selectAll,
+      selectTotal: (state) => state.ids.length,
+      selectById: (state, id) => state.entities[id],
+    }
+    if (!selectState) return localSelectors
+
+    const globalSelectors = {}
+    Object.keys(localSelectors).forEach((key) => {
+      globalSelectors[key] = (state, ...args) =>
+        localSelectors[key](selectState(state), ...args)
+    })
+    return globalSelectors
+  }
+
+  return {
+    selectId,
+    sortComparer,
+    getInitialState,
+    getSelectors,
+    addOne: createStateOperator(withSorting(addOne)),
+    addMany: createStateOperator(withSorting(forMany(addOne))),
+    setOne: createStateOperator(withSorting(setOne)),
+    setMany: createStateOperator(withSorting(forMany(setOne))),
+    setAll: createStateOperator(withSorting(setAll)),
+    updateOne: createStateOperator(withSorting(updateOne)),
+    updateMany: createStateOperator(withSorting(forMany(updateOne))),
+    upsertOne: createStateOperator(withSorting(upsertOne)),
+    upsertMany: createStateOperator(withSorting(forMany(upsertOne))),
+    removeOne: createStateOperator((state, id) => removeMany(state, [id])),
+    removeMany: createStateOperator(removeMany),
+    removeAll: createStateOperator((state) => removeMany(state, state.ids)),
+  }
+}
+
+const referenceEqual = (a, b) => a === b
+
+// Keeps the `maxSize` most recently used results
+function lruMemoize(fn, { maxSize = 1, equalityCheck = referenceEqual } = {}) {
+  let entries = []
+
+  function memoized(...args) {
+    const index = entries.findIndex(
+      ({ key }) =>
+        key.length === args.length &&
+        key.every((arg, i) => equalityCheck(arg, args[i]))
+    )
+    if (index !== -1) {
+      const [entry] = entries.splice(index, 1)
+      entries.unshift(entry)
+      return entry.value
+    }
+
+    const value = fn(...args)
+    entries.unshift({ key: args, value })
+    if (entries.length > maxSize) entries.length = maxSize
+    return value
+  }
+  memoized.clearCache = () => {
+    entries = []
+  }
+  return memoized
+}
+
+// Caches one result per combination of arguments, in a tree with a level
+// per argument. Objects are held weakly, so the cache can't grow forever.
+function weakMapMemoize(fn) {
+  const createNode = () => ({ objects: new WeakMap(), primitives: new Map() })
+  let root = createNode()
+
+  function memoized(...args) {
+    let node = root
+    for (const arg of args) {
+      const isObject =
+        (typeof arg === 'object' && arg !== null) || typeof arg === 'function'
+      const cache = isObject ? node.objects : node.primitives
+      if (!cache.has(arg)) cache.set(arg, createNode())
+      node = cache.get(arg)
+    }
+    if (!('value' in node)) node.value = fn(...args)
+    return node.value
+  }
+  memoized.clearCache = () => {
+    root = createNode()
+  }
+  return memoized
+}
+
+function runDevModeChecks(inputSelectors, resultFunc, args, inputs) {
+  const inputsAgain = inputSelectors.map((selector) => selector(...args))
+  if (inputs.some((input, index) => input !== inputsAgain[index])) {
+    console.warn(
+      'An input selector returned a different result when passed the same arguments. ' +
+        'This means the selector will recompute every time. ' +
+        'Move the work that creates new references into the result function.',
+      { arguments: args, firstInputs: inputs, secondInputs: inputsAgain }
+    )
+  }
+  if (inputs.length === 1 && resultFunc(...inputs) === inputs[0]) {
+    console.warn(
+      'The result function returned its own input. ' +
+        'It memoizes nothing, use the input selector directly instead.',
+      { arguments: args }
+    )
+  }
+}
+
+// createSelector(inputSelector1, inputSelector2, ..., resultFunc, options?)
+// Input selectors may also be passed as an array. Options:
+// - cacheStrategy: 'lru' (default) or 'weakMap' (one result per argument)
+// - maxSize: how many results the 'lru' cache keeps (default 1)
+// - equalityCheck: how the 'lru' cache compares inputs (default ===)
+// - devModeChecks: warn about selectors that can't memoize (default true)
+export function createSelector(...funcs) {
+  const options =
+    typeof funcs[funcs.length - 1] === 'object' &&
+    !Array.isArray(funcs[funcs.length - 1])
+      ? funcs.pop()
+      : {}
+  const resultFunc = funcs.pop()
+  const inputSelectors = Array.isArray(funcs[0]) ? funcs[0] : funcs
+
+  if (typeof resultFunc !== 'function') {
+    throw new Error('createSelector expects a result function as last argument')
+  }
+  if (inputSelectors.some((selector) => typeof selector !== 'function')) {
+    throw new Error(
+      'createSelector expects all input selectors to be functions'
+    )
+  }
+
+  const {
+    cacheStrategy = 'lru',
+    maxSize,
+    equalityCheck,
+    devModeChecks = true,
+  } = options
+  const memoize =
+    cacheStrategy === 'weakMap'
+      ? weakMapMemoize
+      : (fn) => lruMemoize(fn, { maxSize, equalityCheck })
+
+  let recomputations = 0
+  let lastResult
+  let firstRun = true
+
+  const memoizedResultFunc = memoize((...inputs) => {
+    recomputations++
+    return resultFunc(...inputs)
+  })
+
+  // Same arguments as before: skip even running the input selectors
+  const selector = memoize((...args) => {
+    const inputs = inputSelectors.map((inputSelector) =>
+      inputSelector(...args)
+    )
+    if (firstRun && devModeChecks && process.env.NODE_ENV !== 'production') {
+      runDevModeChecks(inputSelectors, resultFunc, args, inputs)
+    }
+    firstRun = false
+    lastResult = memoizedResultFunc(...inputs)
+    return lastResult
+  })
+
+  const clearArgumentsCache = selector.clearCache
+
+  return Object.assign(selector, {
+    resultFunc,
+    dependencies: inputSelectors,
+    lastResult: () => lastResult,
+    recomputations: () => recomputations,
+    resetRecomputations: () => {
+      recomputations = 0
+    },
+    clearCache: () => {
+      clearArgumentsCache()
+      memoizedResultFunc.clearCache()
+    },
+  })
 }
@@ -0,0 +1,32 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { createAsyncThunk } from './redux-toolkit.js'
+
+// Runs a thunk with a dispatch that only records the actions
+async function run(thunk) {
+  const actions = []
+  await thunk((action) => actions.push(action), () => ({}), undefined)
+  return actions
+}
+
+const fetchById = createAsyncThunk('items/fetchById', async (id) => ({ id }))
+
+test('request ids do not depend on the thunk argument', async () => {
+  const requestIds = []
+  for (const arg of ['abc', 'abc', 0, 2, undefined]) {
+    const [pending, fulfilled] = await run(fetchById(arg))
+    assert.equal(pending.meta.requestId, fulfilled.meta.requestId)
+    assert.equal(pending.meta.requestId.length, 21)
+    assert.equal(pending.meta.arg, arg)
+    requestIds.push(pending.meta.requestId)
+  }
+  assert.equal(new Set(requestIds).size, requestIds.length)
+})
+
+test('a custom idGenerator gets the thunk argument', async () => {
+  const fetchWithId = createAsyncThunk('items/fetchWithId', async () => null, {
+    idGenerator: (id) => `request-${id}`,
+  })
+  const [pending] = await run(fetchWithId('abc'))
+  assert.equal(pending.meta.requestId, 'request-abc')
+})
@@ -1,16 +1,88 @@
 import productsReducer from './slices/productsSlice'
 import cartReducer from './slices/cartSlice'
 import wishListReducer from './slices/wishListSlice'
-import { configureStore } from '@reduxjs/toolkit'
+import { combineReducers, configureStore } from '@reduxjs/toolkit'
 import { apiMiddleware } from './middleware/api'
 import { func } from './middleware/func'
 import { logger } from './middleware/logger'
+import { fsaCheck } from './middleware/fsa'
+import { persistReducer, persistStore } from './persist'
 
-export const store = configureStore({
-  reducer: {
-    products: productsReducer,
-    cartItems: cartReducer,
-    wishList: wishListReducer,
+const normalizeByProductId = (list) => ({
+  ids: list.map(({ productId }) => productId),
+  entities: Object.fromEntries(list.map((item) => [item.productId, item])),
+})
+
+const persistConfig = {
+  key: 'shopee',
+  whitelist: ['cartItems', 'wishList'],
+  version: 3,
+  // Only the cart items are saved. The request state (loading, error) and
+  // the undo history start fresh after a reload.
+  transforms: {
+    cartItems: {
+      inbound: ({ present: { ids, entities } }) => ({ ids, entities }),
+      outbound: ({ ids, entities }, cartItems) => ({
+        past: [],
+        present: { ...cartItems.present, ids, entities },
+        future: [],
+      }),
+    },
   },
-  middleware: (getDefaultMiddleware) => [...getDefaultMiddleware()],
+  migrations: {
+    // cartItems became an undoable { past, present, future } history
+    1: ({ cartItems, ...state }) =>
+      Array.isArray(cartItems?.list)
+        ? { ...state, cartItems: { past: [], present: cartItems, future: [] } }
+        : state,
+    // Cart and wishlist items became normalized { ids, entities } state
+    2: ({ cartItems, wishList, ...state }) => {
+      const { list = [], ...cartState } = cartItems?.present ?? {}
+      return {
+        ...state,
+        ...(cartItems && {
+          cartItems: {
+            past: [],
+            present: { ...cartState, ...normalizeByProductId(list) },
+            future: [],
+          },
+        }),
+        ...(Array.isArray(wishList) && {
+          wishList: normalizeByProductId(wishList),
+        }),
+      }
+    },
+    // Only the cart items are stored, without history or loading/error
+    3: (state) => {
+      const { present } = state.cartItems ?? {}
+      if (!present) return state
+      return {
+        ...state,
+        cartItems: { ids: present.ids, entities: present.entities },
+      }
+    },
+  },
+}
+
+const rootReducer = combineReducers({
+  products: productsReducer,
+  cartItems: cartReducer,
+  wishList: wishListReducer,
 })
+
+export const store = configureStore({
+  reducer: persistReducer(persistConfig, rootReducer),
+  // Thunks run on our own `func` middleware instead of RTK's redux-thunk.
+  // fsaCheck comes first, so its stack trace starts at the dispatch call
+  // instead of inside the other middlewares.
+  middleware: (getDefaultMiddleware) => [
+    ...(process.env.NODE_ENV !== 'production' ? [fsaCheck()] : []),
+    func,
+    ...getDefaultMiddleware({ thunk: false }),
+  ],
+})
+
+export const persistor = persistStore(store, persistConfig)
+
+// Don't lose the last (throttled) change when the tab gets closed
+window.addEventListener('beforeunload', () => persistor.flush())
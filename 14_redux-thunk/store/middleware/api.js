@@ -17,9 +17,11 @@ export const apiMiddleware =
             payload: data,
           })
         })
-        .catch(() => {
+        .catch((error) => {
           dispatch({
             type: onError,
+            payload: error.message,
+            error: true,
           })
         })
     } else {
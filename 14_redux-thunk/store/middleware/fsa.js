@@ -0,0 +1,58 @@
+import { FSA_KEYS, isPlainObject } from '../../utils'
+
+// Returns what is wrong with an action according to the Flux Standard Action
+// spec (https://github.com/redux-utilities/flux-standard-action)
+export function getFsaViolations(action) {
+  if (!isPlainObject(action)) return ['action is not a plain object']
+
+  const violations = []
+  if (typeof action.type !== 'string') {
+    violations.push('"type" must be a string')
+  }
+  const extraKeys = Object.keys(action).filter((key) => !FSA_KEYS.includes(key))
+  if (extraKeys.length > 0) {
+    violations.push(
+      `unexpected ${extraKeys.length > 1 ? 'keys' : 'key'} "${extraKeys.join(
+        '", "'
+      )}" (only type, payload, error and meta are allowed)`
+    )
+  }
+  if ('error' in action && typeof action.error !== 'boolean') {
+    violations.push('"error" must be a boolean')
+  }
+  return violations
+}
+
+// Drops the first line ("Error") and the frames inside this middleware.
+// Register fsaCheck as the first middleware, so the next frame is the place
+// the action was dispatched from and not another middleware.
+function getDispatchLocation() {
+  const stack = new Error().stack?.split('\n').slice(3) ?? []
+  return stack.join('\n')
+}
+
+// Dev only: checks every dispatched action against the FSA shape and logs
+// (or throws) with the place the action was dispatched from
+export const fsaCheck =
+  ({ throwOnViolation = false, ignoredActions = [] } = {}) =>
+  () =>
+  (next) =>
+  (action) => {
+    // Thunks are handled by other middlewares
+    if (
+      typeof action === 'function' ||
+      ignoredActions.includes(action?.type)
+    ) {
+      return next(action)
+    }
+
+    const violations = getFsaViolations(action)
+    if (violations.length > 0) {
+      const message =
+        `Action "${String(action?.type)}" is not a Flux Standard Action: ` +
+        `${violations.join('; ')}.\nDispatched from:\n${getDispatchLocation()}`
+      if (throwOnViolation) throw new Error(message)
+      console.error(message, action)
+    }
+    return next(action)
+  }
@@ -2,9 +2,10 @@ export const func =
   ({ dispatch, getState }) =>
   (next) =>
   (action) => {
+    // Returning the result lets callers await async thunks
     if (typeof action === 'function') {
-      action(dispatch, getState)
+      return action(dispatch, getState)
     } else {
-      next(action)
+      return next(action)
     }
   }
@@ -0,0 +1,160 @@
+// Action Types
+export const REHYDRATE = 'persist/rehydrate'
+
+const storageKey = (key) => `persist:${key}`
+
+// Storage adapters only need getItem/setItem/removeItem. They may be sync
+// (localStorage, sessionStorage) or return promises (IndexedDB wrappers etc.)
+export const localStorageAdapter = {
+  getItem: (key) => window.localStorage.getItem(key),
+  setItem: (key, value) => window.localStorage.setItem(key, value),
+  removeItem: (key) => window.localStorage.removeItem(key),
+}
+
+function pickKeys(state, whitelist) {
+  return whitelist.reduce((picked, key) => {
+    if (key in state) picked[key] = state[key]
+    return picked
+  }, {})
+}
+
+// Transforms change how a key is saved (inbound) and restored (outbound),
+// e.g. to leave loading flags out: { cartItems: { inbound, outbound } }.
+// outbound also gets the current value of the key, to merge the stored one into.
+function transformKeys(state, transforms = {}, direction, currentState = {}) {
+  return Object.keys(state).reduce((transformed, key) => {
+    const transform = transforms[key]?.[direction]
+    transformed[key] = transform
+      ? transform(state[key], currentState[key])
+      : state[key]
+    return transformed
+  }, {})
+}
+
+// Runs every migration between the stored version and the current one,
+// in ascending order. e.g. migrations: { 2: (state) => ({ ...state, wishList: [] }) }
+function migrate(state, fromVersion, toVersion, migrations = {}) {
+  return Object.keys(migrations)
+    .map(Number)
+    .filter((version) => version > fromVersion && version <= toVersion)
+    .sort((a, b) => a - b)
+    .reduce(
+      (migratedState, version) => migrations[version](migratedState),
+      state
+    )
+}
+
+export function persistReducer(config, reducer) {
+  const { key, whitelist, transforms } = config
+
+  return function (state, action) {
+    const nextState = reducer(state, action)
+    if (
+      action.type !== REHYDRATE ||
+      action.meta.key !== key ||
+      action.error ||
+      !action.payload
+    ) {
+      return nextState
+    }
+    return {
+      ...nextState,
+      ...transformKeys(
+        pickKeys(action.payload, whitelist),
+        transforms,
+        'outbound',
+        nextState
+      ),
+    }
+  }
+}
+
+export function persistStore(store, config) {
+  const {
+    key,
+    storage = localStorageAdapter,
+    whitelist,
+    version = -1,
+    migrations,
+    transforms,
+    throttle = 1000,
+  } = config
+
+  let rehydrated = false
+  let paused = false
+  let lastPersisted = {}
+  let timeoutId = null
+
+  function hasChanges(state) {
+    return whitelist.some(
+      (stateKey) => state[stateKey] !== lastPersisted[stateKey]
+    )
+  }
+
+  function write() {
+    timeoutId = null
+    const state = pickKeys(store.getState(), whitelist)
+    lastPersisted = state
+    const storedState = transformKeys(state, transforms, 'inbound')
+    return Promise.resolve(
+      storage.setItem(
+        storageKey(key),
+        JSON.stringify({ version, state: storedState })
+      )
+    ).catch((err) => {
+      console.error(`Failed to persist "${key}"`, err)
+    })
+  }
+
+  store.subscribe(() => {
+    if (!rehydrated || paused || timeoutId !== null) return
+    if (!hasChanges(store.getState())) return
+    timeoutId = setTimeout(write, throttle)
+  })
+
+  Promise.resolve()
+    .then(() => storage.getItem(storageKey(key)))
+    .then((serialized) => {
+      if (!serialized) return undefined
+      const stored = JSON.parse(serialized)
+      return migrate(stored.state, stored.version, version, migrations)
+    })
+    .then(
+      (payload) => {
+        store.dispatch({ type: REHYDRATE, payload, meta: { key } })
+      },
+      (err) => {
+        store.dispatch({
+          type: REHYDRATE,
+          payload: err,
+          error: true,
+          meta: { key },
+        })
+      }
+    )
+    .then(() => {
+      rehydrated = true
+      lastPersisted = pickKeys(store.getState(), whitelist)
+    })
+
+  return {
+    isRehydrated: () => rehydrated,
+    pause() {
+      paused = true
+    },
+    resume() {
+      paused = false
+    },
+    // Writes any pending change right away, e.g. before the page unloads
+    flush() {
+      if (timeoutId === null) return Promise.resolve()
+      clearTimeout(timeoutId)
+      return write()
+    },
+    purge() {
+      clearTimeout(timeoutId)
+      timeoutId = null
+      return Promise.resolve(storage.removeItem(storageKey(key)))
+    },
+  }
+}
@@ -1,30 +1,42 @@
+import { createSlice } from "@reduxjs/toolkit";
 import {
-	createSelector,
-	createSlice,
 	createAsyncThunk,
-} from "@reduxjs/toolkit";
+	createEntityAdapter,
+	createSelector,
+} from "../../redux-toolkit";
+import undoable, { createUndoActions, includeAction } from "../undoable";
+import { getProductEntities } from "./productsSlice";
 
-const findItemIndex = (state, action) =>
-	state.findIndex(
-		(cartItem) => cartItem.productId === action.payload.productId
-	);
+const cartAdapter = createEntityAdapter({
+	selectId: (cartItem) => cartItem.productId,
+});
 
-export const fetchCartItemsData = createAsyncThunk("cart/fetchCartItems", async () => {
-	try {
-		const response = await fetch("https://fakestoreapi.com/carts/5");
+export const fetchCartItemsData = createAsyncThunk(
+	"cart/fetchCartItems",
+	async (_, { signal, rejectWithValue }) => {
+		const response = await fetch("https://fakestoreapi.com/carts/5", {
+			signal,
+		});
+		if (!response.ok) {
+			return rejectWithValue(`Could not load your cart (${response.status}).`);
+		}
 		return response.json();
-	} catch (error) {
-		throw err;
+	},
+	{
+		// Skip the request while one is running or when the cart was restored
+		condition: (_, { getState }) => {
+			const { loading, ids } = getState().cartItems.present;
+			return !loading && ids.length === 0;
+		},
 	}
-});
+);
 
 const slice = createSlice({
 	name: "cart",
-	initialState: {
+	initialState: cartAdapter.getInitialState({
 		loading: false,
-		list: [],
 		error: "",
-	},
+	}),
 	reducers: {
 		// fetchCartItems(state) {
 		// 	state.loading = true;
@@ -38,58 +50,68 @@ const slice = createSlice({
 		// 	state.list = action.payload.products;
 		// },
 		addCartItem(state, action) {
-			const existingItemIndex = findItemIndex(state.list, action);
-			if (existingItemIndex !== -1) state.list[existingItemIndex].quantity += 1;
-			else state.list.push({ ...action.payload, quantity: 1 });
+			const existingItem = state.entities[action.payload.productId];
+			if (existingItem) existingItem.quantity += 1;
+			else cartAdapter.addOne(state, { ...action.payload, quantity: 1 });
 		},
 		removeCartItem(state, action) {
-			const existingItemIndex = findItemIndex(state.list, action);
-			state.list.splice(existingItemIndex, 1);
+			cartAdapter.removeOne(state, action.payload.productId);
 		},
 		increaseCartItemQuantity(state, action) {
-			const existingItemIndex = findItemIndex(state.list, action);
-			state.list[existingItemIndex].quantity += 1;
+			state.entities[action.payload.productId].quantity += 1;
 		},
 		decreaseCartItemQuantity(state, action) {
-			const existingItemIndex = findItemIndex(state.list, action);
-			state.list[existingItemIndex].quantity -= 1;
-			if (state.list[existingItemIndex].quantity === 0)
-				state.list.splice(existingItemIndex, 1);
+			const existingItem = state.entities[action.payload.productId];
+			existingItem.quantity -= 1;
+			if (existingItem.quantity === 0)
+				cartAdapter.removeOne(state, action.payload.productId);
 		},
 	},
 	extraReducers: (builder) => {
 		builder
 			.addCase(fetchCartItemsData.pending, (state) => {
 				state.loading = true;
+				state.error = "";
 			})
 			.addCase(fetchCartItemsData.fulfilled, (state, action) => {
 				state.loading = false;
-				state.list = action.payload.products;
+				state.error = "";
+				// A cart restored from storage while the request was running wins
+				if (state.ids.length === 0)
+					cartAdapter.setAll(state, action.payload.products);
 			})
-			.addCase(fetchCartItemsData.rejected, (state,action) => {
+			.addCase(fetchCartItemsData.rejected, (state, action) => {
 				state.loading = false;
-				state.error = action.payload || "Something went Wrong.";
+				state.error =
+					(action.meta.rejectedWithValue
+						? action.payload
+						: action.payload.message) || "Something went Wrong.";
 			});
 	},
 });
 
-const getCartItems = ({ products, cartItems }) => {
-	return cartItems.list
-		.map(({ productId, quantity }) => {
-			const cartProduct = products.list.find(
-				(product) => product.id === productId
-			);
-			return { ...cartProduct, quantity };
-		})
-		.filter(({ title }) => title);
-};
+const cartSelectors = cartAdapter.getSelectors(
+	(state) => state.cartItems.present
+);
 
+// The join runs in the result function, so it only reruns when the cart
+// or the products actually change
 export const getAllCartItems = createSelector(
-	getCartItems,
-	(cartItems) => cartItems
+	[cartSelectors.selectAll, getProductEntities],
+	(cartItems, productEntities) =>
+		cartItems
+			.map(({ productId, quantity }) => ({
+				...productEntities[productId],
+				quantity,
+			}))
+			.filter(({ title }) => title)
 );
-export const getCartLoadingState = (state) => state.cartItems.loading;
-export const getCartError = (state) => state.cartItems.error;
+export const getCartList = cartSelectors.selectAll;
+export const getCartItemById = cartSelectors.selectById;
+export const getCartLoadingState = (state) => state.cartItems.present.loading;
+export const getCartError = (state) => state.cartItems.present.error;
+export const getCanUndoCart = (state) => state.cartItems.past.length > 0;
+export const getCanRedoCart = (state) => state.cartItems.future.length > 0;
 
 // const { fetchCartItemsError, fetchCartItems, loadCartItems } = slice.actions;
 
@@ -113,4 +135,19 @@ export const {
 	decreaseCartItemQuantity,
 } = slice.actions;
 
-export default slice.reducer;
+const cartHistory = createUndoActions("cart/history");
+export const { undo: undoCartChange, redo: redoCartChange } = cartHistory;
+
+// Only changes made by the user can be undone, not the fetched cart data
+export default undoable(slice.reducer, {
+	name: "cart/history",
+	limit: 20,
+	untrackedKeys: ["loading", "error"],
+	clearHistoryOn: [fetchCartItemsData.fulfilled.type],
+	filter: includeAction([
+		addCartItem.type,
+		removeCartItem.type,
+		increaseCartItemQuantity.type,
+		decreaseCartItemQuantity.type,
+	]),
+});
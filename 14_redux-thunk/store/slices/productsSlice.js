@@ -1,29 +1,41 @@
 import { createSlice } from '@reduxjs/toolkit'
+import { createEntityAdapter } from '../../redux-toolkit'
+
+const productsAdapter = createEntityAdapter()
 
 const slice = createSlice({
   name: 'product',
-  initialState: {
+  initialState: productsAdapter.getInitialState({
     loading: false,
-    list: [],
     error: '',
-  },
+  }),
   reducers: {
     fetchProducts(state) {
       state.loading = true
     },
-    fetchProductsError(state, action) {
-      state.loading = false
-      state.error = action.payload || 'Something went wrong!'
+    fetchProductsError: {
+      reducer(state, action) {
+        state.loading = false
+        state.error = action.payload || 'Something went wrong!'
+      },
+      // Error actions are flagged with `error: true` (Flux Standard Action)
+      prepare: (message) => ({ payload: message, error: true }),
     },
     updateAllProducts(state, action) {
       state.loading = false
-      state.list = action.payload
+      productsAdapter.setAll(state, action.payload)
       state.error = ''
     },
   },
 })
 
-export const getAllProducts = (state) => state.products.list
+const productsSelectors = productsAdapter.getSelectors(
+  (state) => state.products
+)
+
+export const getAllProducts = productsSelectors.selectAll
+export const getProductById = productsSelectors.selectById
+export const getProductEntities = productsSelectors.selectEntities
 export const getProductLoadingState = (state) => state.products.loading
 export const getProductError = (state) => state.products.error
 
@@ -37,8 +49,8 @@ export const fetchProductsData = () => (dispatch) => {
     .then((data) => {
       dispatch(updateAllProducts(data))
     })
-    .catch(() => {
-      dispatch(fetchProductsError())
+    .catch((error) => {
+      dispatch(fetchProductsError(error.message))
     })
 }
 
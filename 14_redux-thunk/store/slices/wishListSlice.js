@@ -1,26 +1,40 @@
-// Action Types
-const WISHLIST_ADD_ITEM = 'wishList/addItem'
-const WISHLIST_REMOVE_ITEM = 'wishList/removeItem'
+import { createAction, createEntityAdapter } from '../../redux-toolkit'
+
+const wishListAdapter = createEntityAdapter({
+  selectId: (wishListItem) => wishListItem.productId,
+})
 
 // Action Creators
-export function addWishListItem(productId) {
-  return { type: WISHLIST_ADD_ITEM, payload: { productId } }
-}
-export function removeWishListItem(productId) {
-  return { type: WISHLIST_REMOVE_ITEM, payload: { productId } }
-}
+export const addWishListItem = createAction(
+  'wishList/addItem',
+  (productId) => ({ payload: { productId } })
+)
+export const removeWishListItem = createAction(
+  'wishList/removeItem',
+  (productId) => ({ payload: { productId } })
+)
 
 // Reducer
-export default function wishListReducer(state = [], action) {
+export default function wishListReducer(
+  state = wishListAdapter.getInitialState(),
+  action
+) {
   switch (action.type) {
-    case WISHLIST_ADD_ITEM:
-      return [...state, action.payload]
+    case addWishListItem.type:
+      return wishListAdapter.addOne(state, action.payload)
 
-    case WISHLIST_REMOVE_ITEM:
-      return state.filter(
-        (wishListItem) => wishListItem.productId !== action.payload.productId
-      )
+    case removeWishListItem.type:
+      return wishListAdapter.removeOne(state, action.payload.productId)
     default:
       return state
   }
 }
+
+// Selectors
+const wishListSelectors = wishListAdapter.getSelectors(
+  (state) => state.wishList
+)
+
+export const getWishList = wishListSelectors.selectAll
+export const isInWishList = (state, productId) =>
+  Boolean(wishListSelectors.selectById(state, productId))
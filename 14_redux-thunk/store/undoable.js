@@ -0,0 +1,123 @@
+// Action types are prefixed with a name, so every wrapped reducer gets its
+// own history: createUndoActions('cart/history').undo() only undoes the cart
+export function createUndoActions(name = 'undoable') {
+  const types = {
+    UNDO: `${name}/undo`,
+    REDO: `${name}/redo`,
+    JUMP: `${name}/jump`,
+    CLEAR_HISTORY: `${name}/clearHistory`,
+  }
+
+  return {
+    types,
+    undo: () => ({ type: types.UNDO }),
+    redo: () => ({ type: types.REDO }),
+    // Negative steps go back into the past, positive steps forward into the future
+    jump: (steps) => ({ type: types.JUMP, payload: steps }),
+    clearHistory: () => ({ type: types.CLEAR_HISTORY }),
+  }
+}
+
+// Action Creators for reducers wrapped without a name
+export const { undo, redo, jump, clearHistory } = createUndoActions()
+
+// Filters
+export const includeAction = (actionTypes) => (action) =>
+  [].concat(actionTypes).includes(action.type)
+
+export const excludeAction = (actionTypes) => (action) =>
+  ![].concat(actionTypes).includes(action.type)
+
+function jumpInHistory(history, steps) {
+  const { past, present, future } = history
+  if (steps < 0) {
+    const index = past.length + steps
+    if (index < 0) return history
+    return {
+      past: past.slice(0, index),
+      present: past[index],
+      future: [...past.slice(index + 1), present, ...future],
+    }
+  }
+  if (steps > 0) {
+    const index = steps - 1
+    if (index >= future.length) return history
+    return {
+      past: [...past, present, ...future.slice(0, index)],
+      present: future[index],
+      future: future.slice(index + 1),
+    }
+  }
+  return history
+}
+
+// Untracked keys (like loading flags) always keep their current value, so
+// going back in history never brings back a stale request state
+function keepUntrackedKeys(history, nextHistory, untrackedKeys) {
+  if (nextHistory === history || untrackedKeys.length === 0) return nextHistory
+  const present = { ...nextHistory.present }
+  untrackedKeys.forEach((key) => {
+    present[key] = history.present[key]
+  })
+  return { ...nextHistory, present }
+}
+
+export default function undoable(reducer, options = {}) {
+  const {
+    name,
+    limit = Infinity,
+    filter = () => true,
+    untrackedKeys = [],
+    // Actions that replace the state as a whole (e.g. data loaded from the
+    // server). The steps before them can't be undone anymore.
+    clearHistoryOn = [],
+  } = options
+  const { types } = createUndoActions(name)
+
+  return function (state, action) {
+    if (state === undefined) {
+      return { past: [], present: reducer(undefined, action), future: [] }
+    }
+
+    switch (action.type) {
+      case types.UNDO:
+        return keepUntrackedKeys(state, jumpInHistory(state, -1), untrackedKeys)
+
+      case types.REDO:
+        return keepUntrackedKeys(state, jumpInHistory(state, 1), untrackedKeys)
+
+      case types.JUMP:
+        return keepUntrackedKeys(
+          state,
+          jumpInHistory(state, action.payload),
+          untrackedKeys
+        )
+
+      case types.CLEAR_HISTORY:
+        return { past: [], present: state.present, future: [] }
+
+      default: {
+        const { past, present } = state
+        const newPresent = reducer(present, action)
+        if (newPresent === present) return state
+
+        if (clearHistoryOn.includes(action.type)) {
+          return { past: [], present: newPresent, future: [] }
+        }
+
+        // Actions that are filtered out still update the present state, they
+        // just don't leave a step behind to undo
+        if (!filter(action, newPresent, state)) {
+          return { ...state, present: newPresent }
+        }
+
+        const newPast = [...past, present]
+        return {
+          past: newPast.slice(Math.max(newPast.length - limit, 0)),
+          present: newPresent,
+          future: [],
+        }
+      }
+    }
+  }
+}
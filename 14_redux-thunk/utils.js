@@ -0,0 +1,8 @@
+export function isPlainObject(obj) {
+  if (typeof obj !== 'object' || obj === null) return false
+  const proto = Object.getPrototypeOf(obj)
+  return proto === null || proto === Object.prototype
+}
+
+// The only keys a Flux Standard Action may have
+export const FSA_KEYS = ['type', 'payload', 'error', 'meta']